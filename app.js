@@ -1,3 +1,4 @@
+import http from "http";
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
@@ -9,12 +10,22 @@ import chatRoute from "./routes/chat.route.js";
 import messageRoute from "./routes/message.route.js";
 import assistantRoute from "./routes/assistant.route.js";
 import adminRoute from "./routes/admin.route.js";
+import uploadRoute from "./routes/upload.route.js";
+import notificationRoute from "./routes/notification.route.js";
+import currencyRoute from "./routes/currency.route.js";
+import { bootstrapAdmins } from "./lib/bootstrap.js";
+import { startExpiryJob } from "./lib/listingStatus.js";
+import { startSessionCleanupJob } from "./lib/assistantSessions.js";
+import { initRealtime } from "./lib/realtime.js";
+import { getStorage } from "./lib/storage/index.js";
+
+const CLIENT_ORIGIN = "https://primenest-client.vercel.app"; // NO trailing slash
 
 const app = express();
 
 // Use a simple, clean CORS configuration
 app.use(cors({ 
-  origin: "https://primenest-client.vercel.app", // NO trailing slash
+  origin: CLIENT_ORIGIN,
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"]
@@ -31,8 +42,28 @@ app.use("/api/chats", chatRoute);
 app.use("/api/messages", messageRoute);
 app.use("/api/assistant", assistantRoute);
 app.use("/api/admin", adminRoute);
+app.use("/api/uploads", uploadRoute);
+app.use("/api/notifications", notificationRoute);
+app.use("/api/currencies", currencyRoute);
+
+// Local-disk storage serves the uploaded images itself
+const storage = getStorage();
+if (storage.middleware) app.use("/uploads", storage.middleware());
+
+// Socket.IO shares the HTTP server (and port) with Express
+const server = http.createServer(app);
+initRealtime(server, { origin: CLIENT_ORIGIN });
 
 const PORT = process.env.PORT || 8800;
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}!`);
-});
\ No newline at end of file
+});
+
+// Grant admin to the accounts named in ADMIN_EMAILS (see lib/bootstrap.js)
+bootstrapAdmins().catch((err) => console.log(err));
+
+// Moves listings past their expiry date to "expired" (see lib/listingStatus.js)
+startExpiryJob();
+
+// Removes assistant conversations past their retention period (see lib/assistantSessions.js)
+startSessionCleanupJob();
\ No newline at end of file
@@ -1,51 +1,214 @@
 import prisma from "../lib/prisma.js";
+import { pageArgs, paginateArray, parsePagination, sortBy, toPage } from "../lib/pagination.js";
+import { PERMISSIONS, hasPermission } from "../lib/permissions.js";
+import * as moderation from "../lib/moderation.js";
+import { setRates } from "../lib/currency.js";
 
 export const getUsers = async (req, res) => {
+  const pagination = parsePagination(req.query, {
+    sortFields: ["createdAt", "username", "email"],
+  });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
+
   try {
-    const users = await prisma.user.findMany({
-      include: {
-        posts: true,
-      },
-    });
-    res.status(200).json(users);
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        include: {
+          posts: true,
+        },
+        ...pageArgs(pagination),
+      }),
+      prisma.user.count(),
+    ]);
+    res.status(200).json(toPage(users, total, pagination));
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get users!" });
   }
 };
 
-export const delistHouse = async (req, res) => {
-  const { id } = req.params;
-  const { adminEmail } = req.body;
+// Runs a moderation action as the logged-in staff member; the reason is required by the route schema
+const moderate = (action, failureMessage) => async (req, res) => {
+  try {
+    const result = await action(req.user, req.params.id, req.body);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    if (result.user) {
+      const { password, ...rest } = result.user;
+      return res.status(200).json(rest);
+    }
+    res.status(200).json(result.post);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: failureMessage });
+  }
+};
+
+export const delistHouse = moderate(
+  (actor, id, { reason }) => moderation.delistPost(actor, id, reason),
+  "Failed to delist house!"
+);
+
+export const relistHouse = moderate(
+  (actor, id, { reason }) => moderation.relistPost(actor, id, reason),
+  "Failed to relist house!"
+);
+
+export const banUser = moderate(
+  (actor, id, { reason }) => moderation.banUser(actor, id, reason),
+  "Failed to ban user!"
+);
+
+export const unbanUser = moderate(
+  (actor, id, { reason }) => moderation.unbanUser(actor, id, reason),
+  "Failed to unban user!"
+);
+
+export const assignRole = moderate(
+  (actor, id, { role, reason }) => moderation.assignRole(actor, id, role, reason),
+  "Failed to assign role!"
+);
+
+export const approvePost = moderate(
+  (actor, id, { reason }) => moderation.approvePost(actor, id, reason ?? "Listing approved"),
+  "Failed to approve post!"
+);
+
+export const rejectPost = moderate(
+  (actor, id, { reason }) => moderation.rejectPost(actor, id, reason),
+  "Failed to reject post!"
+);
+
+// Listings waiting for approval, oldest first
+export const getPendingPosts = async (req, res) => {
+  const pagination = parsePagination(req.query, { sortFields: ["createdAt"], defaultOrder: "asc" });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
+
+  const where = { status: "pending_review" };
 
   try {
-    const updatedPost = await prisma.post.update({
-      where: { id },
-      data: {
-        status: "delisted",
-        delistedBy: adminEmail,
-      },
-    });
-    res.status(200).json(updatedPost);
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({
+        where,
+        include: {
+          postDetail: true,
+          user: { select: { id: true, username: true, avatar: true } },
+        },
+        ...pageArgs(pagination),
+      }),
+      prisma.post.count({ where }),
+    ]);
+    res.status(200).json(toPage(posts, total, pagination));
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get pending posts!" });
+  }
+};
+
+export const getAuditLog = async (req, res) => {
+  const { adminId, targetId, action } = req.query;
+
+  const pagination = parsePagination(req.query, { sortFields: ["createdAt"] });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
+
+  const where = {
+    actorId: adminId,
+    action,
+    OR: targetId ? [{ targetUserId: targetId }, { targetPostId: targetId }] : undefined,
+  };
+
+  try {
+    const [entries, total] = await Promise.all([
+      prisma.moderationLog.findMany({ where, ...pageArgs(pagination) }),
+      prisma.moderationLog.count({ where }),
+    ]);
+    res.status(200).json(toPage(entries, total, pagination));
   } catch (err) {
     console.log(err);
-    res.status(500).json({ message: "Failed to delist house!" });
+    res.status(500).json({ message: "Failed to get audit log!" });
   }
 };
 
-export const banUser = async (req, res) => {
-  const { id } = req.params;
+// Open reports grouped by post, most-reported first
+export const getReportQueue = async (req, res) => {
+  const pagination = parsePagination(req.query, { sortFields: ["count"], defaultSort: "count" });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
 
   try {
-    const updatedUser = await prisma.user.update({
-      where: { id },
-      data: {
-        isBanned: true,
-      },
+    const reports = await prisma.report.findMany({
+      where: { status: "open" },
+      select: { postId: true, reason: true, details: true, createdAt: true },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const groups = new Map();
+    for (const report of reports) {
+      if (!groups.has(report.postId)) {
+        groups.set(report.postId, {
+          id: report.postId,
+          count: 0,
+          reasons: {},
+          latestReportAt: report.createdAt,
+          details: [],
+        });
+      }
+      const group = groups.get(report.postId);
+      group.count += 1;
+      group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+      if (report.details) group.details.push(report.details);
+    }
+
+    const page = paginateArray(sortBy([...groups.values()], pagination), pagination);
+
+    const posts = await prisma.post.findMany({
+      where: { id: { in: page.data.map((group) => group.id) } },
+      include: { user: { select: { id: true, username: true, isBanned: true } } },
+    });
+    const postsById = new Map(posts.map((post) => [post.id, post]));
+
+    res.status(200).json({
+      ...page,
+      data: page.data.map((group) => ({ ...group, post: postsById.get(group.id) ?? null })),
     });
-    res.status(200).json(updatedUser);
   } catch (err) {
     console.log(err);
-    res.status(500).json({ message: "Failed to ban user!" });
+    res.status(500).json({ message: "Failed to get reports!" });
+  }
+};
+
+export const resolveReports = async (req, res) => {
+  const { resolution, reason } = req.body;
+
+  // Banning through a report still needs the ban permission itself
+  if (resolution === "ban_owner" && !hasPermission(req.user, PERMISSIONS.BAN_USERS)) {
+    return res.status(403).json({ message: "Not Authorized!" });
+  }
+  if (resolution === "delist_post" && !hasPermission(req.user, PERMISSIONS.DELIST_POSTS)) {
+    return res.status(403).json({ message: "Not Authorized!" });
+  }
+
+  try {
+    const result = await moderation.resolveReports(req.user, req.params.postId, resolution, reason);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(200).json({ message: "Reports resolved", resolved: result.resolved });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to resolve reports!" });
+  }
+};
+
+// Replaces the rates of the listed currencies and re-normalizes the posts priced in them
+export const updateCurrencyRates = async (req, res) => {
+  const rates = Object.fromEntries(req.body.rates.map(({ currency, rate }) => [currency, rate]));
+
+  try {
+    const result = await setRates(rates, { updatedById: req.user.id });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(200).json(result);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to update currency rates!" });
   }
 };
@@ -1,102 +1,45 @@
-import Groq from "groq-sdk";
 import dotenv from "dotenv";
 import prisma from "../lib/prisma.js";
+import { createSavedSearch, filtersFromCollected } from "../lib/savedSearches.js";
+import { SEARCHABLE_STATUSES } from "../lib/listingStatus.js";
+import { pageArgs, parsePagination, toPage } from "../lib/pagination.js";
+import {
+  createSession,
+  deleteSession,
+  findSession,
+  presentSession,
+  recordExchange,
+  sessionHistory,
+} from "../lib/assistantSessions.js";
+import { complete, stream } from "../lib/llm/index.js";
+import { jsonFieldStream } from "../lib/llm/jsonFieldStream.js";
+import { openEventStream } from "../lib/sse.js";
+import { toListingCard } from "../lib/chat.js";
+import { mightBeAction, runAssistantTools } from "../lib/assistantTools.js";
+import { extractWithRules } from "../lib/extractionRules.js";
+import { BASE_CURRENCY, formatAmount } from "../lib/currency.js";
 
 dotenv.config();
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
-// ============================================
-// SESSION MANAGEMENT
-// ============================================
-
-const conversationSessions = new Map();
-
-const SESSION_CONFIG = {
-  maxHistoryLength: 20,
-  sessionTimeout: 30 * 60 * 1000,
-  maxSessions: 1000
-};
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [sessionId, session] of conversationSessions.entries()) {
-    if (now - session.lastActivity > SESSION_CONFIG.sessionTimeout) {
-      conversationSessions.delete(sessionId);
-    }
-  }
-}, 5 * 60 * 1000);
-
-const getSessionContext = (sessionId) => {
-  if (!conversationSessions.has(sessionId)) {
-    if (conversationSessions.size >= SESSION_CONFIG.maxSessions) {
-      const oldestKey = conversationSessions.keys().next().value;
-      conversationSessions.delete(oldestKey);
-    }
-
-    conversationSessions.set(sessionId, {
-      history: [],         // full conversation history
-      isFirstMessage: true, // used to greet exactly once
-      // Best known search params — built up across messages
-      collected: {
-        location: null,      // e.g. "Ikeja"
-        action: null,        // "buy" | "rent"
-        propertyType: null,  // "house" | "apartment" | "land" | "commercial"
-        bedrooms: null,      // number | null
-        priceRange: null     // { min, max } | null
-      },
-      createdAt: Date.now(),
-      lastActivity: Date.now()
-    });
-  }
-
-  const session = conversationSessions.get(sessionId);
-  session.lastActivity = Date.now();
-  return session;
-};
-
-const updateSessionContext = (sessionId, updates) => {
-  const session = conversationSessions.get(sessionId);
-  if (session) {
-    Object.assign(session, updates);
-    if (session.history.length > SESSION_CONFIG.maxHistoryLength) {
-      session.history = session.history.slice(-SESSION_CONFIG.maxHistoryLength);
-    }
-  }
-};
-
-// ============================================
-// RETRY UTILITY
-// ============================================
-
-const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
-  let lastError;
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      lastError = err;
-      if (i < maxRetries - 1) {
-        await new Promise(resolve => setTimeout(resolve, baseDelay * Math.pow(2, i)));
-      }
-    }
-  }
-  throw lastError;
+// Model per LLM provider for each call; providers left out use their default (see lib/llm)
+const MODELS = {
+  extract: { groq: "llama-3.1-8b-instant", gemini: "gemini-2.0-flash-lite" },
+  reply: { groq: "llama-3.1-8b-instant", gemini: "gemini-2.0-flash" },
 };
 
 // ============================================
 // BULK FIELD EXTRACTOR
 // Pulls every search-relevant field from a single message in one LLM call.
 // Returns only what was found — null for anything not mentioned.
+// lib/extractionRules.js mirrors this prompt; keep the two in step.
 // ============================================
 
-const extractFields = async (message) => {
-  const result = await retryWithBackoff(() =>
-    groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: `You extract Nigerian real estate search parameters from natural language messages.
+const extractWithModel = async (message) => {
+  const raw = await complete({
+    messages: [
+      {
+        role: "system",
+        content: `You extract Nigerian real estate search parameters from natural language messages.
 Return ONLY this JSON — null for anything not mentioned or unclear:
 {
   "location": "Nigerian city or area | null",
@@ -155,17 +98,18 @@ EXAMPLES:
 
 "show me more" / "what else is available?"
 → { location:null, action:null, propertyType:null, bedrooms:null, priceRange:null, isSearchIntent:true }`
-        },
-        { role: "user", content: message }
-      ],
-      model: "llama-3.1-8b-instant",
-      temperature: 0.1,
-      response_format: { type: "json_object" }
-    })
-    , 3, 500);
+      },
+      { role: "user", content: message }
+    ],
+    models: MODELS.extract,
+    temperature: 0.1,
+    json: true,
+    retries: 3,
+    retryDelay: 500
+  });
 
   try {
-    const parsed = JSON.parse(result.choices[0]?.message?.content || '{}');
+    const parsed = JSON.parse(raw || '{}');
     return {
       location: parsed.location || null,
       action: parsed.action || null,
@@ -182,6 +126,30 @@ EXAMPLES:
   }
 };
 
+// Rules first: messages they fully understand skip the LLM. For the rest, the LLM's answer wins and the
+// rules only fill fields it left empty; if every provider fails, the rules' answer is used.
+// ASSISTANT_EXTRACTION=llm always asks the LLM and falls back to the rules only when it fails.
+const extractFields = async (message) => {
+  const rules = extractWithRules(message);
+  const llmFirst = process.env.ASSISTANT_EXTRACTION === "llm";
+  if (rules.resolved && !llmFirst) return rules.fields;
+
+  let model;
+  try {
+    model = await extractWithModel(message);
+  } catch (err) {
+    console.error("Field extraction error, using rules:", err);
+    return rules.fields;
+  }
+  if (llmFirst) return model;
+
+  const fields = { ...model };
+  for (const [field, value] of Object.entries(rules.fields)) {
+    if (fields[field] === null) fields[field] = value;
+  }
+  return fields;
+};
+
 // Merge newly extracted fields onto existing collected fields.
 // Only overwrites null — never wipes a field the user already gave us.
 const mergeFields = (existing, incoming) => ({
@@ -233,7 +201,7 @@ const searchListings = async (filters) => {
   try {
     await prisma.$connect();
 
-    const where = { AND: [] };
+    const where = { AND: [{ status: { in: SEARCHABLE_STATUSES } }] };
 
     if (location) {
       where.AND.push({
@@ -254,7 +222,8 @@ const searchListings = async (filters) => {
       if (priceRange.min != null) priceCondition.gte = priceRange.min;
       if (priceRange.max != null) priceCondition.lte = priceRange.max;
       if (Object.keys(priceCondition).length > 0) {
-        where.AND.push({ price: priceCondition });
+        // Budgets are in Naira, so they are compared with the base-currency price
+        where.AND.push({ basePrice: priceCondition });
       }
     }
 
@@ -267,10 +236,10 @@ const searchListings = async (filters) => {
     }
 
     const posts = await prisma.post.findMany({
-      where: where.AND.length > 0 ? where : undefined,
+      where,
       select: {
         id: true, title: true, city: true, country: true,
-        price: true, bedroom: true, bathroom: true,
+        price: true, currency: true, basePrice: true, bedroom: true, bathroom: true,
         property: true, type: true, images: true
       },
       take: 10
@@ -289,7 +258,7 @@ const searchListings = async (filters) => {
 // all flow logic above. It knows the full context and search results.
 // ============================================
 
-const generateResponse = async (message, context, searchResults, collected, isFirstMessage) => {
+const buildReplyMessages = (message, context, searchResults, collected, isFirstMessage) => {
   const conversationHistory = context.history.map(m => ({
     role: m.role === 'model' ? 'assistant' : m.role,
     content: m.content
@@ -298,7 +267,7 @@ const generateResponse = async (message, context, searchResults, collected, isFi
   const hasResults = searchResults.count > 0;
   const listingText = hasResults
     ? searchResults.posts.map((p, i) =>
-      `${i + 1}. ${p.title} — ${p.city} | ${p.bedroom ?? '?'} bed, ${p.bathroom ?? '?'} bath | ${p.type === 'rent' ? 'For rent' : 'For sale'} | ₦${p.price?.toLocaleString() ?? 'N/A'}`
+      `${i + 1}. ${p.title} — ${p.city} | ${p.bedroom ?? '?'} bed, ${p.bathroom ?? '?'} bath | ${p.type === 'rent' ? 'For rent' : 'For sale'} | ${p.basePrice != null ? formatAmount(p.basePrice, BASE_CURRENCY) : 'N/A'}`
     ).join('\n')
     : 'No listings found for these filters.';
 
@@ -310,7 +279,7 @@ ${isFirstMessage
     }
 
 ABSOLUTE RULES:
-- Only use Naira (₦). Never dollars, pounds, or any other currency.
+- Quote listing prices in ${BASE_CURRENCY}, as they are given above. Never convert them to another currency.
 - Never ask for information that is already in "What we know about this user" below.
 - Be concise — 2 to 4 sentences for most replies, more only for detailed advice.
 - No filler phrases like "Great question!", "Certainly!", or "Of course!".
@@ -320,7 +289,7 @@ WHAT WE KNOW ABOUT THIS USER SO FAR:
 - Looking to: ${collected.action ?? 'not told yet'}
 - Property type: ${collected.propertyType ?? 'not told yet'}
 - Bedrooms: ${collected.bedrooms ?? 'not told yet'}
-- Budget: ${collected.priceRange ? `₦${collected.priceRange.min?.toLocaleString() ?? '0'} – ₦${collected.priceRange.max?.toLocaleString() ?? 'open'}` : 'not told yet'}
+- Budget: ${collected.priceRange ? `${collected.priceRange.min?.toLocaleString() ?? '0'} – ${collected.priceRange.max?.toLocaleString() ?? 'open'} ${BASE_CURRENCY}` : 'not told yet'}
 
 NIGERIAN MARKET KNOWLEDGE (use this to sound smart and give real advice):
 - Lagos pricing: Self-con in Yaba/Surulere ₦200k–₦600k/yr. 2-bed in Lekki Phase 1 ₦1.5M–₦4M/yr rent. 3-bed for sale in Lekki/VI ₦80M–₦300M+.
@@ -348,53 +317,101 @@ RESPOND ONLY with this JSON and nothing else:
   "suggestions": ["short specific follow-up 1", "short specific follow-up 2"]
 }`;
 
+  return [
+    { role: "system", content: systemPrompt },
+    ...conversationHistory,
+    { role: "user", content: message }
+  ];
+};
+
+const REPLY_OPTIONS = {
+  models: MODELS.reply,
+  temperature: 0.7,
+  maxTokens: 800,
+  json: true,
+  retries: 2,
+  retryDelay: 1000
+};
+
+const FAILED_REPLY = {
+  reply: "Something went wrong on my end. Try rephrasing what you're looking for.",
+  searchUrl: null,
+  suggestions: ["Houses for rent in Lekki", "2 bedroom flat in Ikeja under ₦1M"]
+};
+
+// Always build the searchUrl from what we actually collected
+const buildSearchUrl = (collected) => {
+  if (!collected.location) return null;
+
+  const params = new URLSearchParams();
+  params.set('city', collected.location);
+  if (collected.propertyType) params.set('property', collected.propertyType);
+  if (collected.action) params.set('type', collected.action);
+  if (collected.bedrooms) params.set('bedroom', String(collected.bedrooms));
+  if (collected.priceRange?.min != null) params.set('minPrice', String(collected.priceRange.min));
+  if (collected.priceRange?.max != null) params.set('maxPrice', String(collected.priceRange.max));
+  return `/list?${params.toString()}`;
+};
+
+const parseReply = (raw, collected) => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    const match = raw.match(/\{[\s\S]*\}/);
+    if (!match) throw new Error("Unparseable response");
+    data = JSON.parse(match[0]);
+  }
+  return { ...data, searchUrl: buildSearchUrl(collected) };
+};
+
+const generateResponse = async (message, context, searchResults, collected, isFirstMessage) => {
   try {
-    const completion = await retryWithBackoff(() =>
-      groq.chat.completions.create({
-        messages: [
-          { role: "system", content: systemPrompt },
-          ...conversationHistory,
-          { role: "user", content: message }
-        ],
-        model: "llama-3.1-8b-instant",
-        temperature: 0.7,
-        max_tokens: 800,
-        response_format: { type: "json_object" }
-      })
-      , 2, 1000);
-
-    const raw = completion.choices[0]?.message?.content || '{}';
-
-    try {
-      const data = JSON.parse(raw);
-
-      // Always build the searchUrl from what we actually collected
-      if (collected.location) {
-        const params = new URLSearchParams();
-        params.set('city', collected.location);
-        if (collected.propertyType) params.set('property', collected.propertyType);
-        if (collected.action) params.set('type', collected.action);
-        if (collected.bedrooms) params.set('bedroom', String(collected.bedrooms));
-        if (collected.priceRange?.min != null) params.set('minPrice', String(collected.priceRange.min));
-        if (collected.priceRange?.max != null) params.set('maxPrice', String(collected.priceRange.max));
-        data.searchUrl = `/list?${params.toString()}`;
-      } else {
-        data.searchUrl = null;
+    const raw = await complete({
+      messages: buildReplyMessages(message, context, searchResults, collected, isFirstMessage),
+      ...REPLY_OPTIONS
+    });
+    return parseReply(raw || '{}', collected);
+  } catch (err) {
+    console.error("Response generation error:", err);
+    return FAILED_REPLY;
+  }
+};
+
+// Same as generateResponse, but passes the reply text to onToken as the model writes it.
+// Stops reading the model once isClosed() is true; the reply is then what was streamed so far.
+const streamResponse = async (message, context, searchResults, collected, isFirstMessage, onToken, isClosed) => {
+  const replyText = jsonFieldStream('reply');
+  let raw = '';
+  let streamed = '';
+
+  try {
+    const chunks = stream({
+      messages: buildReplyMessages(message, context, searchResults, collected, isFirstMessage),
+      ...REPLY_OPTIONS
+    });
+    for await (const chunk of chunks) {
+      // Leaving the loop closes the provider's stream too
+      if (isClosed()) {
+        return { reply: streamed, searchUrl: buildSearchUrl(collected), suggestions: [] };
+      }
+      raw += chunk;
+      const text = replyText.push(chunk);
+      if (text) {
+        streamed += text;
+        onToken(text);
       }
+    }
 
-      return data;
-    } catch {
-      const match = raw.match(/\{[\s\S]*\}/);
-      if (match) return JSON.parse(match[0]);
-      throw new Error("Unparseable response");
+    const data = parseReply(raw || '{}', collected);
+    // Models that put another field before "reply" are only read once the object is complete
+    if (typeof data.reply === 'string' && data.reply.startsWith(streamed) && data.reply !== streamed) {
+      onToken(data.reply.slice(streamed.length));
     }
+    return data;
   } catch (err) {
     console.error("Response generation error:", err);
-    return {
-      reply: "Something went wrong on my end. Try rephrasing what you're looking for.",
-      searchUrl: null,
-      suggestions: ["Houses for rent in Lekki", "2 bedroom flat in Ikeja under ₦1M"]
-    };
+    return FAILED_REPLY;
   }
 };
 
@@ -402,84 +419,205 @@ RESPOND ONLY with this JSON and nothing else:
 // MAIN CHAT HANDLER
 // ============================================
 
+// Replies with the confirmations of the actions taken; `actions` lets the UI link to the results
+const buildActionReply = (actions) => ({
+  reply: actions.map((action) => action.message).join("\n\n"),
+  searchUrl: null,
+  suggestions: actions.some((action) => action.tool === "save_listing" || action.tool === "show_listing")
+    ? ["Contact the owner", "Compare with another listing"]
+    : ["Show me similar listings", "Save this search"],
+  actions
+});
+
+// Steps shared by both chat routes: act on the user's behalf when asked, otherwise extract fields from
+// the message, merge them into the session, then either search or ask for what is missing. Returns the
+// turn with `followUp` set to the finished reply for actions and questions, otherwise with the
+// `searchResults` the model replies from. `onFields` is called with the merged fields before any search.
+const planTurn = async (message, session, { onFields } = {}) => {
+  const isFirst = session._count.messages === 0;
+  const context = { history: await sessionHistory(session.id), collected: session.collected };
+
+  // Step 0 — save, compare, contact and other actions through tool calling.
+  // A failure here only means the message is handled as a normal chat message.
+  if (mightBeAction(message)) {
+    const actions = await runAssistantTools(message, { session, history: context.history, collected: context.collected })
+      .catch((err) => {
+        console.error("Assistant tools error:", err);
+        return [];
+      });
+    if (actions.length > 0) {
+      return {
+        isFirst,
+        context,
+        collected: context.collected,
+        extracted: null,
+        missing: [],
+        followUp: buildActionReply(actions)
+      };
+    }
+  }
+
+  // Step 1 — extract whatever fields we can from this message
+  const extracted = await extractFields(message);
+
+  // Step 2 — merge with anything we already know from earlier messages
+  context.collected = mergeFields(context.collected, extracted);
+  const collected = context.collected;
+  const missing = getMissingFields(collected);
+  const turn = { isFirst, context, collected, extracted, missing, followUp: null };
+  onFields?.({ extracted, collected, missing });
+
+  if (extracted.isSearchIntent) {
+    // User wants to search — check what we still need
+    if (missing.length === 0) {
+      // We have everything — run the search
+      return { ...turn, searchResults: await searchListings(collected) };
+    }
+
+    // We're missing something — ask for it naturally, don't search yet
+    const followUp = buildFollowUpQuestion(missing, collected);
+
+    // If it's the first message, prepend a short greeting
+    const reply = isFirst
+      ? `Hi! I'm Runo, PrimeNest's property assistant. ${followUp}`
+      : followUp;
+
+    return {
+      ...turn,
+      followUp: {
+        reply,
+        searchUrl: null,
+        suggestions: buildSuggestions(missing, collected)
+      }
+    };
+  }
+
+  // Not a search intent — general conversation or advice
+  // Still run a background search if we have enough to be useful
+  const hasEnough = missing.length <= 1 && collected.location;
+  const searchResults = hasEnough
+    ? await searchListings(collected)
+    : { count: 0, posts: [] };
+
+  return { ...turn, searchResults };
+};
+
+// Continues the user's own session, or starts one when none (or an unknown legacy id) is given.
+// Responds with 403 and returns null for someone else's session.
+const openChatSession = async (req, res) => {
+  const session = await findSession(req.body.sessionId);
+  if (session && session.userId !== req.userId) {
+    res.status(403).json({ message: "Not Authorized!" });
+    return null;
+  }
+  return session ?? createSession(req.userId);
+};
+
+const FAILED_CHAT = {
+  reply: "Something went wrong. Please try again.",
+  searchUrl: null,
+  suggestions: ["Houses for rent in Lekki", "2 bed flat in Abuja under ₦2M"]
+};
+
 export const chatWithAssistant = async (req, res) => {
-  const { message, sessionId } = req.body;
+  const { message } = req.body;
 
   if (!message || !message.trim()) {
     return res.status(400).json({ reply: "Please type a message.", searchUrl: null });
   }
 
-  const sid = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  let sid = null;
 
   try {
-    const context = getSessionContext(sid);
-    const isFirst = context.isFirstMessage;
-    context.isFirstMessage = false;
-
-    // Add user message to history
-    context.history.push({ role: 'user', content: message });
+    const session = await openChatSession(req, res);
+    if (!session) return;
+    sid = session.id;
+
+    const turn = await planTurn(message, session);
+    const responseData = turn.followUp ??
+      await generateResponse(message, turn.context, turn.searchResults, turn.collected, turn.isFirst);
+
+    // Save the exchange and what we've collected to the session
+    await recordExchange(session, {
+      message,
+      reply: responseData.reply,
+      collected: turn.collected,
+      shownPostIds: turn.searchResults?.count > 0 ? turn.searchResults.posts.map((post) => post.id) : undefined
+    });
 
-    // Step 1 — extract whatever fields we can from this message
-    const extracted = await extractFields(message);
+    return res.status(200).json({ ...responseData, sessionId: sid });
 
-    // Step 2 — merge with anything we already know from earlier messages
-    context.collected = mergeFields(context.collected, extracted);
-    const collected = context.collected;
+  } catch (err) {
+    console.error("Assistant Error:", err);
+    return res.status(200).json({ ...FAILED_CHAT, sessionId: sid });
+  }
+};
 
-    let responseData;
+// Same conversation as /chat, sent as Server-Sent Events while it happens:
+//   session  { sessionId }
+//   fields   { extracted, collected, missing }
+//   actions  { actions }                      — instead of fields, when the user asked for an action
+//   results  { count, listings }              — only when a search ran
+//   token    { text }                         — pieces of the reply as the model writes it
+//   done     { reply, searchUrl, suggestions, actions?, sessionId } — the full reply replaces the streamed text
+// It is a POST like /chat, so clients read it with fetch() rather than EventSource.
+export const streamChatWithAssistant = async (req, res) => {
+  const { message } = req.body;
 
-    if (extracted.isSearchIntent) {
-      // User wants to search — check what we still need
-      const missing = getMissingFields(collected);
+  if (!message || !message.trim()) {
+    return res.status(400).json({ reply: "Please type a message.", searchUrl: null });
+  }
 
-      if (missing.length === 0) {
-        // We have everything — run the search
-        const searchResults = await searchListings(collected);
-        responseData = await generateResponse(message, context, searchResults, collected, isFirst);
+  let session;
+  try {
+    session = await openChatSession(req, res);
+    if (!session) return;
+  } catch (err) {
+    console.error("Assistant Error:", err);
+    return res.status(200).json({ ...FAILED_CHAT, sessionId: null });
+  }
 
-      } else {
-        // We're missing something — ask for it naturally, don't search yet
-        const followUp = buildFollowUpQuestion(missing, collected);
+  const events = openEventStream(res);
+  events.send('session', { sessionId: session.id });
 
-        // If it's the first message, prepend a short greeting
-        const reply = isFirst
-          ? `Hi! I'm Runo, PrimeNest's property assistant. ${followUp}`
-          : followUp;
+  try {
+    // Fields go out as soon as they are extracted, before the listing search runs
+    const turn = await planTurn(message, session, { onFields: (fields) => events.send('fields', fields) });
+    if (turn.followUp?.actions) {
+      events.send('actions', { actions: turn.followUp.actions });
+    }
 
-        responseData = {
-          reply,
-          searchUrl: null,
-          suggestions: buildSuggestions(missing, collected)
-        };
+    let responseData = turn.followUp;
+    if (!responseData) {
+      if (turn.searchResults.count > 0) {
+        events.send('results', {
+          count: turn.searchResults.count,
+          listings: turn.searchResults.posts.map(toListingCard)
+        });
       }
-
+      responseData = await streamResponse(
+        message, turn.context, turn.searchResults, turn.collected, turn.isFirst,
+        (text) => events.send('token', { text }),
+        () => events.closed
+      );
     } else {
-      // Not a search intent — general conversation or advice
-      // Still run a background search if we have enough to be useful
-      const missing = getMissingFields(collected);
-      const hasEnough = missing.length <= 1 && collected.location;
-      const searchResults = hasEnough
-        ? await searchListings(collected)
-        : { count: 0, posts: [] };
-
-      responseData = await generateResponse(message, context, searchResults, collected, isFirst);
+      events.send('token', { text: responseData.reply });
     }
 
-    // Save assistant reply to history
-    context.history.push({ role: 'model', content: responseData.reply });
-    updateSessionContext(sid, {});
-
-    return res.status(200).json({ ...responseData, sessionId: sid });
+    // Saved even if the client went away, so the reply is there when the session is resumed
+    await recordExchange(session, {
+      message,
+      reply: responseData.reply,
+      collected: turn.collected,
+      shownPostIds: turn.searchResults?.count > 0 ? turn.searchResults.posts.map((post) => post.id) : undefined
+    });
 
+    events.send('done', { ...responseData, sessionId: session.id });
   } catch (err) {
     console.error("Assistant Error:", err);
-    return res.status(200).json({
-      reply: "Something went wrong. Please try again.",
-      searchUrl: null,
-      sessionId: sid,
-      suggestions: ["Houses for rent in Lekki", "2 bed flat in Abuja under ₦2M"]
-    });
+    events.send('done', { ...FAILED_CHAT, sessionId: session.id });
   }
+  events.end();
 };
 
 // ============================================
@@ -505,26 +643,129 @@ const buildSuggestions = (missing, collected) => {
 
 // ============================================
 // SESSION MANAGEMENT ENDPOINTS
+// Every endpoint only works on the logged-in user's own sessions.
 // ============================================
 
+// Loads the session for a handler, or responds with 404/403 and returns null
+const ownSession = async (req, res) => {
+  const session = await findSession(req.params.sessionId ?? req.body.sessionId);
+  if (!session) {
+    res.status(404).json({ error: "Session not found" });
+    return null;
+  }
+  if (session.userId !== req.userId) {
+    res.status(403).json({ message: "Not Authorized!" });
+    return null;
+  }
+  return session;
+};
+
+// The user's conversations, most recently active first
+export const getSessions = async (req, res) => {
+  const pagination = parsePagination(req.query, {
+    sortFields: ["lastActivity", "createdAt"],
+    defaultSort: "lastActivity",
+  });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
+
+  const where = { userId: req.userId };
+
+  try {
+    const [sessions, total] = await Promise.all([
+      prisma.assistantSession.findMany({
+        where,
+        include: { _count: { select: { messages: true } } },
+        ...pageArgs(pagination),
+      }),
+      prisma.assistantSession.count({ where }),
+    ]);
+
+    const page = toPage(sessions, total, pagination);
+    res.status(200).json({ ...page, data: page.data.map(presentSession) });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get sessions!" });
+  }
+};
+
+// A whole conversation, to resume it; send its id as `sessionId` to /chat to continue
+export const getSession = async (req, res) => {
+  try {
+    const session = await ownSession(req, res);
+    if (!session) return;
+
+    const messages = await prisma.assistantMessage.findMany({
+      where: { sessionId: session.id },
+      orderBy: { createdAt: "asc" },
+      select: { role: true, content: true, createdAt: true },
+    });
+
+    res.status(200).json({ ...presentSession(session), messages });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get session!" });
+  }
+};
+
+export const removeSession = async (req, res) => {
+  try {
+    const session = await ownSession(req, res);
+    if (!session) return;
+
+    await deleteSession(session.id);
+    res.status(200).json({ message: "Session deleted" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to delete session!" });
+  }
+};
+
 export const clearSession = async (req, res) => {
-  const { sessionId } = req.body;
-  if (sessionId && conversationSessions.has(sessionId)) {
-    conversationSessions.delete(sessionId);
+  try {
+    if (req.body.sessionId) {
+      const session = await ownSession(req, res);
+      if (!session) return;
+      await deleteSession(session.id);
+    }
+    res.status(200).json({ reply: "Session cleared.", sessionId: null });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to clear session!" });
   }
-  res.status(200).json({ reply: "Session cleared.", sessionId: null });
 };
 
 export const getSessionInfo = async (req, res) => {
-  const { sessionId } = req.params;
-  if (!sessionId || !conversationSessions.has(sessionId)) {
-    return res.status(404).json({ error: "Session not found" });
+  try {
+    const session = await ownSession(req, res);
+    if (!session) return;
+
+    res.status(200).json({
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      messageCount: session._count.messages,
+      collected: session.collected
+    });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get session!" });
+  }
+};
+
+// Saves what the assistant has collected so far as one of the user's saved searches
+export const saveSessionSearch = async (req, res) => {
+  try {
+    const session = await ownSession(req, res);
+    if (!session) return;
+
+    const result = await createSavedSearch(req.userId, {
+      ...req.body,
+      filters: filtersFromCollected(session.collected),
+    });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(201).json(result.savedSearch);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to save search!" });
   }
-  const session = conversationSessions.get(sessionId);
-  res.status(200).json({
-    createdAt: session.createdAt,
-    lastActivity: session.lastActivity,
-    messageCount: session.history.length,
-    collected: session.collected
-  });
 };
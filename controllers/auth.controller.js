@@ -1,6 +1,24 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import prisma from "../lib/prisma.js";
+import {
+  clearAuthCookies,
+  createSession,
+  readRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  rotateSession,
+  setAuthCookies,
+} from "../lib/session.js";
+import {
+  PASSWORD_RESET_TTL,
+  consumeAuthToken,
+  createAuthToken,
+  sendVerificationEmail,
+} from "../lib/authTokens.js";
+import { sendMail } from "../lib/mail/index.js";
+import { passwordResetEmail } from "../lib/mail/templates.js";
+import { permissionsFor } from "../lib/permissions.js";
+import { bootstrapAdmins } from "../lib/bootstrap.js";
 
 export const register = async (req, res) => {
   const { username, email, password } = req.body;
@@ -18,6 +36,13 @@ export const register = async (req, res) => {
       },
     });
 
+    // SEND THE VERIFICATION EMAIL (the account still exists if this fails; the user can ask again)
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailErr) {
+      console.log(mailErr);
+    }
+
     res.status(201).json({ message: "User created successfully" });
   } catch (err) {
     console.log(err);
@@ -48,43 +73,155 @@ export const login = async (req, res) => {
     if (!isPasswordValid)
       return res.status(400).json({ message: "Invalid Credentials!" });
 
-    // GENERATE COOKIE TOKEN AND SEND TO THE USER
-    const age = 1000 * 60 * 60 * 24 * 7;
+    // OPTIONALLY BLOCK ACCOUNTS THAT HAVE NOT CONFIRMED THEIR EMAIL
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.emailVerifiedAt) {
+      return res.status(403).json({ message: "Please verify your email before logging in!" });
+    }
 
-    const token = jwt.sign(
-      {
-        id: user.id,
-        isAdmin: user.isAdmin,
-      },
-      process.env.JWT_SECRET_KEY,
-      { expiresIn: age }
-    );
+    // START A SESSION: SHORT-LIVED ACCESS TOKEN + ROTATING REFRESH TOKEN
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     const { password: userPassword, ...userInfo } = user;
 
-    // Send token in both cookie (fallback) and response body for cross-domain support
-    res
-      .cookie("token", token, {
-        httpOnly: true,
-        secure: true,     // MUST BE TRUE FOR VERCEL
-        sameSite: "none",   // MUST BE NONE FOR CROSS-SITE
-        maxAge: age,
-      })
+    // Send tokens in both cookies (fallback) and response body for cross-domain support
+    setAuthCookies(res, { accessToken, refreshToken })
       .status(200)
-      .json({ ...userInfo, token });
+      .json({ ...userInfo, permissions: permissionsFor(user.role), token: accessToken, refreshToken });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to login!" });
   }
 };
 
-export const logout = (req, res) => {
-  res
-    .clearCookie("token", {
-      httpOnly: true,
-      secure: true,     // MUST MATCH LOGIN SETTINGS
-      sameSite: "none",
-    })
-    .status(200)
-    .json({ message: "Logout Successful" });
-};
\ No newline at end of file
+export const refresh = async (req, res) => {
+  const refreshToken = readRefreshToken(req);
+
+  if (!refreshToken) return res.status(401).json({ message: "Not Authenticated!" });
+
+  try {
+    const rotated = await rotateSession(refreshToken);
+
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session has expired or was revoked!" });
+    }
+
+    setAuthCookies(res, rotated)
+      .status(200)
+      .json({ token: rotated.accessToken, refreshToken: rotated.refreshToken });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to refresh session!" });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    // Revoke the session behind the refresh token so it cannot be used again
+    await revokeRefreshToken(readRefreshToken(req));
+
+    clearAuthCookies(res).status(200).json({ message: "Logout Successful" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to logout!" });
+  }
+};
+
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeUserSessions(req.userId);
+
+    clearAuthCookies(res).status(200).json({ message: "Logged out of all devices" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to logout!" });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const record = await consumeAuthToken(token, "email_verification");
+    if (!record) return res.status(400).json({ message: "Invalid or expired verification link!" });
+
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+
+    // A freshly verified address may be one of the configured bootstrap admins
+    await bootstrapAdmins(record.userId);
+
+    res.status(200).json({ message: "Email verified" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to verify email!" });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    if (user && !user.emailVerifiedAt) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({ message: "If that account needs verifying, an email is on its way" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to send verification email!" });
+  }
+};
+
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    if (user && !user.isBanned) {
+      const token = await createAuthToken(user.id, "password_reset", PASSWORD_RESET_TTL);
+      await sendMail(passwordResetEmail(user, token));
+    }
+
+    res.status(200).json({ message: "If that account exists, a reset link is on its way" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to send reset email!" });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const record = await consumeAuthToken(token, "password_reset");
+    if (!record) return res.status(400).json({ message: "Invalid or expired reset link!" });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Receiving the link proves the user owns the address, so it counts as verified too
+    const user = await prisma.user.findUnique({ where: { id: record.userId } });
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        password: hashedPassword,
+        emailVerifiedAt: user.emailVerifiedAt ?? new Date(),
+      },
+    });
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(record.userId);
+
+    res.status(200).json({ message: "Password has been reset" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to reset password!" });
+  }
+};
@@ -1,7 +1,37 @@
 import prisma from "../lib/prisma.js";
+import { emitToUsers, pushUnreadCounts } from "../lib/realtime.js";
+import {
+  LISTING_CARD_SELECT,
+  findOrCreateChat,
+  markChatRead,
+  presentMessage,
+  toListingCard,
+  unreadCountsByChat,
+} from "../lib/chat.js";
+import { readNotificationGroup } from "../lib/notifications.js";
+
+const DEFAULT_MESSAGE_LIMIT = 30;
+
+// Marks the chat read (up to `upTo` when only part of it was shown), tells the other participants
+// and refreshes the reader's own badge
+const readAndAnnounce = async (chat, userId, upTo = null) => {
+  const readState = await markChatRead(chat, userId, upTo);
+  const others = chat.userIDs.filter((id) => id !== userId);
+  emitToUsers(others, "chat:read", {
+    chatId: chat.id,
+    userId,
+    lastReadMessageId: readState.lastReadMessageId,
+    readAt: readState.updatedAt,
+  });
+  await pushUnreadCounts([userId]);
+  if (!upTo) await readNotificationGroup(userId, `chat:${chat.id}`);
+  return readState;
+};
 
+// Owners with many listings can narrow their inbox with ?postId=
 export const getChats = async (req, res) => {
   const tokenUserId = req.userId;
+  const { postId } = req.query;
 
   try {
     const chats = await prisma.chat.findMany({
@@ -9,10 +39,20 @@ export const getChats = async (req, res) => {
         userIDs: {
           hasSome: [tokenUserId],
         },
+        postId,
+      },
+      include: {
+        post: { select: LISTING_CARD_SELECT },
       },
     });
 
+    const unreadCounts = await unreadCountsByChat(tokenUserId);
+
     for (const chat of chats) {
+      chat.unreadCount = unreadCounts.get(chat.id) ?? 0;
+      chat.listing = toListingCard(chat.post);
+      delete chat.post;
+
       const receiverId = chat.userIDs.find((id) => id !== tokenUserId);
 
       const receiver = await prisma.user.findUnique({
@@ -35,8 +75,16 @@ export const getChats = async (req, res) => {
   }
 };
 
+// Messages are paged newest-first: `before` loads older history, `after` catches up on newer messages.
+// Only loading the latest page counts as reading the chat.
 export const getChat = async (req, res) => {
   const tokenUserId = req.userId;
+  const { before, after } = req.query;
+  const limit = req.query.limit ?? DEFAULT_MESSAGE_LIMIT;
+
+  if (before && after) {
+    return res.status(400).json({ message: "Use either before or after, not both!" });
+  }
 
   try {
     const chat = await prisma.chat.findUnique({
@@ -47,25 +95,56 @@ export const getChat = async (req, res) => {
         },
       },
       include: {
-        messages: {
-          orderBy: {
-            createdAt: "asc",
-          },
-        },
+        readStates: true,
+        post: { select: LISTING_CARD_SELECT },
       },
     });
 
-    await prisma.chat.update({
-      where: {
-        id: req.params.id,
-      },
-      data: {
-        seenBy: {
-          push: [tokenUserId],
-        },
-      },
+    if (!chat) return res.status(404).json({ message: "Chat not found!" });
+
+    const { post, ...chatFields } = chat;
+
+    const cursor = before || after;
+    const order = after ? "asc" : "desc";
+    const page = await prisma.message.findMany({
+      where: { chatId: chat.id },
+      orderBy: [{ createdAt: order }, { id: order }],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).map(presentMessage);
+    // Always returned oldest-first, the order the client renders them in
+    if (!after) messages.reverse();
+
+    // Listing cards for posts shared inside the conversation
+    const sharedPostIds = [...new Set(messages.map((m) => m.sharedPostId).filter(Boolean))];
+    const sharedPosts = sharedPostIds.length
+      ? await prisma.post.findMany({ where: { id: { in: sharedPostIds } }, select: LISTING_CARD_SELECT })
+      : [];
+    const cardsById = new Map(sharedPosts.map((p) => [p.id, toListingCard(p)]));
+    for (const message of messages) {
+      message.sharedPost = message.sharedPostId ? cardsById.get(message.sharedPostId) ?? null : null;
+    }
+
+    if (!before) {
+      // Paging forward with ?after= only reads as far as the last message returned
+      const upTo = after && hasMore ? messages[messages.length - 1] : null;
+      const readState = await readAndAnnounce(chat, tokenUserId, upTo);
+      chatFields.readStates = [
+        ...chat.readStates.filter((state) => state.userId !== tokenUserId),
+        readState,
+      ];
+    }
+
+    res.status(200).json({
+      ...chatFields,
+      listing: toListingCard(post),
+      messages,
+      hasMoreBefore: after ? null : hasMore,
+      hasMoreAfter: after ? hasMore : before ? null : false,
     });
-    res.status(200).json(chat);
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get chat!" });
@@ -74,69 +153,15 @@ export const getChat = async (req, res) => {
 
 export const addChat = async (req, res) => {
   const tokenUserId = req.userId;
-  const { receiverId } = req.body;
-
-  // Validate input
-  if (!receiverId) {
-    return res.status(400).json({ message: "Receiver ID is required!" });
-  }
-
-  // Prevent chatting with yourself
-  if (tokenUserId === receiverId) {
-    return res.status(400).json({ message: "Cannot create chat with yourself!" });
-  }
+  const { receiverId, postId } = req.body;
 
   try {
-    // Sort user IDs to ensure consistent ordering (prevents race conditions)
-    const sortedUserIds = [tokenUserId, receiverId].sort();
-    
-    // Check for existing chat with both users
-    const existingChat = await prisma.chat.findFirst({
-      where: {
-        AND: [
-          { userIDs: { has: sortedUserIds[0] } },
-          { userIDs: { has: sortedUserIds[1] } },
-        ],
-      },
-      include: {
-        messages: {
-          orderBy: { createdAt: 'desc' },
-          take: 1,
-        },
-      },
-    });
+    const result = await findOrCreateChat(tokenUserId, { receiverId, postId });
+    if (result.status) return res.status(result.status).json({ message: result.message });
 
-    if (existingChat) {
-      // Return existing chat instead of creating duplicate
-      return res.status(200).json(existingChat);
-    }
-
-    // Create new chat with sorted user IDs for consistency
-    const newChat = await prisma.chat.create({
-      data: {
-        userIDs: sortedUserIds,
-        seenBy: [tokenUserId], // Creator has seen it
-      },
-    });
-    
-    res.status(201).json(newChat);
+    res.status(result.created ? 201 : 200).json(result.chat);
   } catch (err) {
     console.log(err);
-    
-    // Handle potential race condition (unique constraint violation)
-    if (err.code === 'P2002') {
-      // Fetch the chat that was just created by concurrent request
-      const existingChat = await prisma.chat.findFirst({
-        where: {
-          AND: [
-            { userIDs: { has: tokenUserId } },
-            { userIDs: { has: receiverId } },
-          ],
-        },
-      });
-      return res.status(200).json(existingChat);
-    }
-    
     res.status(500).json({ message: "Failed to create chat!" });
   }
 };
@@ -145,22 +170,21 @@ export const readChat = async (req, res) => {
   const tokenUserId = req.userId;
 
   try {
-    const chat = await prisma.chat.update({
+    const chat = await prisma.chat.findUnique({
       where: {
         id: req.params.id,
         userIDs: {
           hasSome: [tokenUserId],
         },
       },
-      data: {
-        seenBy: {
-          set: [tokenUserId],
-        },
-      },
     });
-    res.status(200).json(chat);
+
+    if (!chat) return res.status(404).json({ message: "Chat not found!" });
+
+    const readState = await readAndAnnounce(chat, tokenUserId);
+    res.status(200).json({ ...chat, readState });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to read chat!" });
   }
-};
\ No newline at end of file
+};
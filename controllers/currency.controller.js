@@ -0,0 +1,12 @@
+import { BASE_CURRENCY, getRates } from "../lib/currency.js";
+
+// Currencies listings can be displayed in, with their rate against the base currency
+export const getCurrencies = async (req, res) => {
+  try {
+    const rates = await getRates();
+    res.status(200).json({ base: BASE_CURRENCY, rates: Object.fromEntries(rates) });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get currencies!" });
+  }
+};
@@ -1,9 +1,49 @@
 import prisma from "../lib/prisma.js";
+import { emitToUsers, pushUnreadCounts } from "../lib/realtime.js";
+import { NOT_DELETED, presentMessage, previewText } from "../lib/chat.js";
+import { createNotificationsQuietly } from "../lib/notifications.js";
+import { PUBLIC_STATUSES } from "../lib/listingStatus.js";
+
+// Keeps the chat preview in sync when the newest message is edited or deleted
+const refreshLastMessage = async (chatId) => {
+  const latest = await prisma.message.findFirst({
+    where: { AND: [{ chatId }, NOT_DELETED] },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+
+  await prisma.chat.update({
+    where: { id: chatId },
+    data: { lastMessage: latest ? previewText(latest) : null },
+  });
+};
+
+// Loads a message the current user wrote, in a chat they still belong to
+const findOwnMessage = async (id, userId) => {
+  const message = await prisma.message.findUnique({
+    where: { id },
+    include: { chat: true },
+  });
+
+  if (!message || !message.chat.userIDs.includes(userId)) {
+    return { status: 404, message: "Message not found!" };
+  }
+  if (message.userId !== userId) return { status: 403, message: "Not Authorized!" };
+  if (message.deletedAt) return { status: 410, message: "Message has been deleted!" };
+
+  return { found: message };
+};
 
 export const addMessage = async (req, res) => {
   const tokenUserId = req.userId;
   const chatId = req.params.chatId;
-  const text = req.body.text;
+  const { text = "", attachments = [], sharedPostId } = req.body;
+
+  if (!text && attachments.length === 0 && !sharedPostId) {
+    return res.status(400).json({
+      message: "Invalid input!",
+      errors: { text: "is required without attachments or a shared listing" },
+    });
+  }
 
   try {
     const chat = await prisma.chat.findUnique({
@@ -17,9 +57,18 @@ export const addMessage = async (req, res) => {
 
     if (!chat) return res.status(404).json({ message: "Chat not found!" });
 
+    if (sharedPostId) {
+      const sharedPost = await prisma.post.findUnique({ where: { id: sharedPostId } });
+      if (!sharedPost || !PUBLIC_STATUSES.includes(sharedPost.status)) {
+        return res.status(404).json({ message: "Shared listing not found!" });
+      }
+    }
+
     const message = await prisma.message.create({
       data: {
         text,
+        attachments,
+        sharedPostId,
         chatId,
         userId: tokenUserId,
       },
@@ -31,13 +80,105 @@ export const addMessage = async (req, res) => {
       },
       data: {
         seenBy: [tokenUserId],
-        lastMessage: text,
+        lastMessage: previewText(message),
       },
     });
 
+    // The sender has obviously read up to their own message
+    await prisma.chatReadState.upsert({
+      where: { chatId_userId: { chatId, userId: tokenUserId } },
+      create: { chatId, userId: tokenUserId, lastReadMessageId: message.id, lastReadAt: message.createdAt },
+      update: { lastReadMessageId: message.id, lastReadAt: message.createdAt },
+    });
+
+    // Push the message to every participant's open tabs, and the new unread count to the others
+    emitToUsers(chat.userIDs, "message:new", { chatId, message });
+    const recipients = chat.userIDs.filter((id) => id !== tokenUserId);
+    await pushUnreadCounts(recipients);
+
+    // Each recipient keeps one unread notification per chat, showing the latest message
+    const sender = await prisma.user.findUnique({
+      where: { id: tokenUserId },
+      select: { username: true },
+    });
+    await createNotificationsQuietly(
+      recipients.map((userId) => ({
+        userId,
+        type: "new_message",
+        title: `New message from ${sender.username}`,
+        body: previewText(message),
+        data: { chatId, messageId: message.id },
+        groupKey: `chat:${chatId}`,
+      }))
+    );
+
     res.status(200).json(message);
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to add message!" });
   }
 };
+
+export const editMessage = async (req, res) => {
+  const tokenUserId = req.userId;
+  const { text } = req.body;
+
+  try {
+    const { found, status, message: error } = await findOwnMessage(req.params.id, tokenUserId);
+    if (!found) return res.status(status).json({ message: error });
+
+    const { chat, ...rest } = found;
+    const message = await prisma.message.update({
+      where: { id: rest.id },
+      data: { text, editedAt: new Date() },
+    });
+    await refreshLastMessage(chat.id);
+
+    emitToUsers(chat.userIDs, "message:updated", { chatId: chat.id, message });
+    res.status(200).json(message);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to edit message!" });
+  }
+};
+
+export const deleteMessage = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const { found, status, message: error } = await findOwnMessage(req.params.id, tokenUserId);
+    if (!found) return res.status(status).json({ message: error });
+
+    const { chat, ...rest } = found;
+    const message = presentMessage(
+      await prisma.message.update({
+        where: { id: rest.id },
+        data: { deletedAt: new Date() },
+      })
+    );
+    await refreshLastMessage(chat.id);
+
+    // A deleted unread message no longer counts towards the others' badges
+    emitToUsers(chat.userIDs, "message:deleted", { chatId: chat.id, message });
+    const recipients = chat.userIDs.filter((id) => id !== tokenUserId);
+    await pushUnreadCounts(recipients);
+
+    // An unread chat notification showing the deleted message is cleared rather than left pointing at it
+    const stale = await prisma.notification.findMany({
+      where: { userId: { in: recipients }, groupKey: `chat:${chat.id}`, readAt: null },
+      select: { id: true, data: true },
+    });
+    const staleIds = stale.filter((notification) => notification.data?.messageId === message.id).map(({ id }) => id);
+    if (staleIds.length > 0) {
+      await prisma.notification.updateMany({
+        where: { id: { in: staleIds } },
+        data: { readAt: new Date() },
+      });
+    }
+
+    res.status(200).json(message);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to delete message!" });
+  }
+};
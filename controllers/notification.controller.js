@@ -0,0 +1,141 @@
+import prisma from "../lib/prisma.js";
+import { pageArgs, parsePagination, toPage } from "../lib/pagination.js";
+import {
+  NOTIFICATION_CATEGORIES,
+  categoryOf,
+  preferencesFor,
+  presentNotification,
+} from "../lib/notifications.js";
+
+const categoryWhere = (category) => (category ? { type: { in: NOTIFICATION_CATEGORIES[category] } } : {});
+
+export const getNotifications = async (req, res) => {
+  const tokenUserId = req.userId;
+  const { category, unread } = req.query;
+
+  const pagination = parsePagination(req.query, { sortFields: ["createdAt"] });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
+
+  const where = {
+    userId: tokenUserId,
+    ...categoryWhere(category),
+    ...(unread !== undefined && { readAt: unread ? null : { not: null } }),
+  };
+
+  try {
+    const [notifications, total] = await Promise.all([
+      prisma.notification.findMany({ where, ...pageArgs(pagination) }),
+      prisma.notification.count({ where }),
+    ]);
+
+    const page = toPage(notifications, total, pagination);
+    res.status(200).json({ ...page, data: page.data.map(presentNotification) });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get notifications!" });
+  }
+};
+
+// Total unread notifications, and per category for badges on the filter tabs
+export const getUnreadCount = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const groups = await prisma.notification.groupBy({
+      by: ["type"],
+      where: { userId: tokenUserId, readAt: null },
+      _count: { _all: true },
+    });
+
+    const categories = Object.fromEntries(Object.keys(NOTIFICATION_CATEGORIES).map((name) => [name, 0]));
+    let count = 0;
+    for (const group of groups) {
+      categories[categoryOf(group.type)] += group._count._all;
+      count += group._count._all;
+    }
+
+    res.status(200).json({ count, categories });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get notification count!" });
+  }
+};
+
+export const readNotification = async (req, res) => {
+  const id = req.params.id;
+  const tokenUserId = req.userId;
+
+  try {
+    const notification = await prisma.notification.findUnique({ where: { id } });
+
+    if (!notification) return res.status(404).json({ message: "Notification not found!" });
+    if (notification.userId !== tokenUserId) {
+      return res.status(403).json({ message: "Not Authorized!" });
+    }
+
+    const updatedNotification = notification.readAt
+      ? notification
+      : await prisma.notification.update({
+          where: { id },
+          data: { readAt: new Date() },
+        });
+
+    res.status(200).json(presentNotification(updatedNotification));
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to read notification!" });
+  }
+};
+
+export const readAllNotifications = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: tokenUserId, readAt: null, ...categoryWhere(req.body.category) },
+      data: { readAt: new Date() },
+    });
+    res.status(200).json({ read: count });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to read notifications!" });
+  }
+};
+
+export const getPreferences = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: tokenUserId },
+      select: { notificationPreferences: true },
+    });
+    res.status(200).json(preferencesFor(user));
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get notification preferences!" });
+  }
+};
+
+// Categories left out of the body keep their current setting
+export const updatePreferences = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: tokenUserId },
+      select: { notificationPreferences: true },
+    });
+
+    const preferences = { ...preferencesFor(user), ...req.body };
+    await prisma.user.update({
+      where: { id: tokenUserId },
+      data: { notificationPreferences: { set: preferences } },
+    });
+
+    res.status(200).json(preferences);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to update notification preferences!" });
+  }
+};
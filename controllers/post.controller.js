@@ -1,34 +1,158 @@
 import prisma from "../lib/prisma.js";
-import jwt from "jsonwebtoken";
-import axios from "axios"; // Ensure axios is installed in your backend
+import { geoWhere, parseGeoQuery, withDistance } from "../lib/geo.js";
+import { pageArgs, paginateArray, parsePagination, sortBy, toPage } from "../lib/pagination.js";
+import { authenticate } from "../lib/session.js";
+import { PERMISSIONS, hasPermission } from "../lib/permissions.js";
+import { foreignImages, removeUploadsQuietly } from "../lib/uploads.js";
+import { notifySavedSearchMatchesQuietly } from "../lib/savedSearches.js";
+import { notifyPostSavers } from "../lib/notifications.js";
+import { initialPriceData, priceChangeData, withPriceDrop } from "../lib/prices.js";
+import { BASE_CURRENCY, getRates, toBase, convert, withDisplayPrice } from "../lib/currency.js";
+import {
+  SEARCHABLE_STATUSES,
+  changeStatus,
+  initialStatus,
+  initialStatusData,
+  renewPost as renewListing,
+} from "../lib/listingStatus.js";
+import { locateListing, relocateListing } from "../lib/geocoding.js";
+import { AMENITY_TYPES, amenityDistances, loadAmenities, parseAmenityQuery } from "../lib/amenities.js";
+import { canView, hiddenMessage, loadPost } from "../lib/posts.js";
+import {
+  MAX_KEYWORD_CANDIDATES,
+  countFacets,
+  detailWhere,
+  facetCounts,
+  keywordWhere,
+  parseKeywords,
+  withRelevance,
+} from "../lib/search.js";
+
+// Listing images must come from /api/uploads; `allowed` covers images a post already had
+const rejectForeignImages = async (res, userId, images = [], allowed = []) => {
+  const foreign = await foreignImages(userId, images.filter((url) => !allowed.includes(url)));
+  if (foreign.length === 0) return false;
+
+  res.status(400).json({
+    message: "Invalid input!",
+    errors: { "postData.images": "must be uploaded through /api/uploads first" },
+  });
+  return true;
+};
+
+const POST_SORT_FIELDS = ["createdAt", "price", "bedroom"];
+
+// Prices are compared in the base currency, so sorting by price really sorts by basePrice
+const sortField = (sort) => (sort === "price" ? "basePrice" : sort);
+
+// minPrice/maxPrice are given in the display currency (base currency by default)
+const basePriceRange = (query, currency, rates) => {
+  const min = parseInt(query.minPrice) || 0;
+  const max = parseInt(query.maxPrice) > 0 ? parseInt(query.maxPrice) : null;
+  if (!min && max === null) return undefined;
+
+  return {
+    ...(min && { gte: convert(min, currency, BASE_CURRENCY, rates) }),
+    ...(max !== null && { lte: convert(max, currency, BASE_CURRENCY, rates) }),
+  };
+};
+
+const unsupportedCurrency = (res) =>
+  res.status(400).json({
+    message: "Invalid input!",
+    errors: { displayCurrency: "is not a supported currency" },
+  });
 
 // GET ALL POSTS (With Improved "AI" Search)
 export const getPosts = async (req, res) => {
   const query = req.query;
 
+  // Radius (lat/lng/radiusKm) or map viewport (north/south/east/west) search
+  const geo = parseGeoQuery(query);
+  if (geo?.error) return res.status(400).json({ message: geo.error });
+
+  // Keyword search (?q=) over title, address and description, ranked by relevance
+  const terms = parseKeywords(query.q);
+
+  // Distance to the nearest amenity, e.g. ?schoolKm=1 for listings within 1km of a school
+  const amenities = parseAmenityQuery(query);
+  if (amenities.error) return res.status(400).json({ message: amenities.error });
+
+  const pagination = parsePagination(query, {
+    sortFields: [...(terms ? ["relevance"] : []), ...(geo ? ["distance"] : []), ...POST_SORT_FIELDS],
+    defaultSort: terms ? "relevance" : geo ? "distance" : "createdAt",
+    defaultOrder: geo && !terms ? "asc" : "desc",
+  });
+  if (pagination.error) return res.status(400).json({ message: pagination.error });
+
+  const where = {
+    AND: [geo && geoWhere(geo), terms && keywordWhere(terms)].filter(Boolean),
+    // This OR logic allows searching "USA" to find posts in Springfield, USA
+    OR: query.city ? [
+      { city: { contains: query.city, mode: 'insensitive' } },
+      { country: { contains: query.city, mode: 'insensitive' } },
+      { address: { contains: query.city, mode: 'insensitive' } }
+    ] : undefined,
+    type: query.type || undefined,
+    property: query.property || undefined,
+    bedroom: parseInt(query.bedroom) || undefined,
+    bathroom: parseInt(query.bathroom) || undefined,
+    postDetail: detailWhere(query, amenities.filters),
+    // ?priceDropped=true only returns listings whose last price change was a reduction
+    priceDropPercent: query.priceDropped === "true" ? { gt: 0 } : undefined,
+    // Only live listings are searchable; sold, expired, draft and delisted ones are not
+    status: { in: SEARCHABLE_STATUSES },
+  };
+
+  const displayCurrency = query.displayCurrency?.toUpperCase();
+
   try {
-    const posts = await prisma.post.findMany({
-      where: {
-        // This OR logic allows searching "USA" to find posts in Springfield, USA
-        OR: query.city ? [
-          { city: { contains: query.city, mode: 'insensitive' } },
-          { country: { contains: query.city, mode: 'insensitive' } },
-          { address: { contains: query.city, mode: 'insensitive' } }
-        ] : undefined,
-        type: query.type || undefined,
-        property: query.property || undefined,
-        bedroom: parseInt(query.bedroom) || undefined,
-        price: {
-          gte: parseInt(query.minPrice) || 0,
-          lte: (parseInt(query.maxPrice) > 0) ? parseInt(query.maxPrice) : 100000000,
-        },
-        NOT: {
-          status: "delisted"
-        },
-      },
-    });
+    const rates = await getRates();
+    if (displayCurrency && !rates.has(displayCurrency)) return unsupportedCurrency(res);
+
+    where.basePrice = basePriceRange(query, displayCurrency || BASE_CURRENCY, rates);
+    const present = (post) => withDisplayPrice(withPriceDrop(post), displayCurrency, rates);
+    const sort = sortField(pagination.sort);
+
+    // Facets take several extra queries, so they are only counted on request (?facets=true)
+    const withFacets = query.facets === "true";
+
+    // Geo results are trimmed to the exact radius and keyword results ranked in memory,
+    // so they are sorted and paged there. Only the newest MAX_KEYWORD_CANDIDATES keyword matches
+    // are ranked; the response says so in `rankedWindow`.
+    if (geo || terms) {
+      let posts = await prisma.post.findMany({
+        where,
+        ...(terms && {
+          include: { postDetail: { select: { desc: true } } },
+          orderBy: { createdAt: "desc" },
+          take: MAX_KEYWORD_CANDIDATES,
+        }),
+      });
+      if (terms) posts = withRelevance(posts, terms);
+      if (geo) posts = withDistance(posts, geo);
+
+      const page = paginateArray(sortBy(posts.map(present), { ...pagination, sort }), pagination);
+      const ranking = terms && { rankedWindow: MAX_KEYWORD_CANDIDATES };
+
+      // Radius results are counted as trimmed; keyword matches are counted in full in the database
+      if (geo) {
+        return res.status(200).json({ ...page, ...ranking, ...(withFacets && { facets: facetCounts(posts) }) });
+      }
+      const [total, facets] = await Promise.all([
+        prisma.post.count({ where }),
+        withFacets ? countFacets(where) : null,
+      ]);
+      return res.status(200).json({ ...page, total, ...ranking, ...(facets && { facets }) });
+    }
 
-    res.status(200).json(posts);
+    const [posts, total, facets] = await Promise.all([
+      prisma.post.findMany({ where, ...pageArgs(pagination, { [sort]: pagination.order }) }),
+      prisma.post.count({ where }),
+      withFacets ? countFacets(where) : null,
+    ]);
+
+    res.status(200).json({ ...toPage(posts.map(present), total, pagination), ...(facets && { facets }) });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get posts" });
@@ -38,94 +162,63 @@ export const getPosts = async (req, res) => {
 // GET SINGLE POST
 export const getPost = async (req, res) => {
   const id = req.params.id;
+  const displayCurrency = req.query.displayCurrency?.toUpperCase();
   try {
-    const post = await prisma.post.findUnique({
-      where: { id },
-      include: {
-        postDetail: true,
-        user: {
-          select: {
-            username: true,
-            avatar: true,
-          },
-        },
-      },
-    });
+    const rates = await getRates();
+    if (displayCurrency && !rates.has(displayCurrency)) return unsupportedCurrency(res);
 
-    if (!post) return res.status(404).json({ message: "Post not found" });
-
-    const token = req.cookies?.token;
-    let payload = null;
+    // Optional login: anonymous visitors, invalid and revoked tokens all count as logged out
+    const { user: viewer } = await authenticate(req);
 
-    if (token) {
-      try {
-        payload = jwt.verify(token, process.env.JWT_SECRET_KEY);
-      } catch (err) {
-        // invalid token
-      }
-    }
+    const result = await loadPost(id, viewer, { displayCurrency, rates });
+    if (result.status) return res.status(result.status).json({ message: result.message });
 
-    // Security check: Block public access to delisted posts
-    if (post.status === "delisted") {
-      if (!payload || (payload.id !== post.userId && !payload.isAdmin)) {
-        return res.status(403).json({ message: "This post has been delisted by an administrator." });
-      }
-    }
-
-    if (payload) {
-      try {
-        const saved = await prisma.savedPost.findUnique({
-          where: {
-            userId_postId: {
-              postId: id,
-              userId: payload.id,
-            },
-          },
-        });
-        return res.status(200).json({ ...post, isSaved: !!saved });
-      } catch (err) {
-        return res.status(200).json({ ...post, isSaved: false });
-      }
-    }
-
-    return res.status(200).json({ ...post, isSaved: false });
+    res.status(200).json(result.post);
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get post" });
   }
 };
 
-// ADD POST (With Automatic Country Detection)
+// ADD POST (With Automatic Location Lookup)
 export const addPost = async (req, res) => {
   const body = req.body;
   const tokenUserId = req.userId;
 
   try {
-    const { latitude, longitude } = body.postData;
-    let country = "";
-
-    // Automatic Country Lookup via Latitude/Longitude
-    try {
-      const geoRes = await axios.get(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=10`,
-        { headers: { "User-Agent": "PrimeNest-App" } }
-      );
-      country = geoRes.data.address.country || "";
-    } catch (geoErr) {
-      console.log("Geocoding failed, creating post without country info.");
+    if (await rejectForeignImages(res, tokenUserId, body.postData.images)) return;
+
+    const currency = body.postData.currency || "USD"; // Default to USD if not provided
+
+    // Coordinates from the address if the pin is missing, then city/state/country from the coordinates.
+    // A geocoder outage leaves state and country empty for the backfill script to fill in later.
+    const location = await locateListing(body.postData);
+    if (location.status) return res.status(location.status).json({ message: location.message });
+    if (!location.city) {
+      return res.status(400).json({ message: "Invalid input!", errors: { "postData.city": "is required" } });
     }
+    const distances = await amenityDistances(location);
 
     const newPost = await prisma.post.create({
       data: {
         ...body.postData,
-        currency: body.postData.currency || "USD", // Default to USD if not provided
-        country: country, // Storing the detected country
+        currency,
+        // Null until the currency has a rate; setting one backfills it (see lib/currency.js)
+        basePrice: toBase(body.postData.price, currency, await getRates()),
+        ...location,
         userId: tokenUserId,
+        ...initialPriceData({ price: body.postData.price, currency }),
+        // Saved as a draft on request, otherwise published (or queued for review)
+        ...initialStatusData(initialStatus(body.draft)),
         postDetail: {
-          create: body.postDetail,
+          create: { ...body.postDetail, ...distances },
         },
       },
     });
+
+    // Alert users whose saved searches this listing matches
+    notifySavedSearchMatchesQuietly(newPost);
+
     res.status(200).json(newPost);
   } catch (err) {
     console.log(err);
@@ -154,26 +247,37 @@ export const updatePost = async (req, res) => {
       return res.status(403).json({ message: "Not Authorized!" });
     }
 
-    // 2. Update the post with postDetail
+    if (await rejectForeignImages(res, tokenUserId, body.postData.images, existingPost.images)) return;
+
+    // 2. Update the post with postDetail, recording any price change in its history
+    const priceChange = priceChangeData(existingPost, body.postData);
+    // Moving the pin or changing the address updates the coordinates, state and country
+    const location = await relocateListing(existingPost, body.postData);
+    const distances = location.latitude !== undefined ? await amenityDistances(location) : null;
+    // With a dataset loaded the distances are computed, so typed-in ones are ignored even when the pin stays
+    const typedDetail =
+      body.postDetail && (await loadAmenities())
+        ? Object.fromEntries(Object.entries(body.postDetail).filter(([field]) => !AMENITY_TYPES.includes(field)))
+        : body.postDetail;
+    const detail = (typedDetail || distances) && { ...typedDetail, ...distances };
+    const updatedPrice = {
+      price: body.postData.price ?? existingPost.price,
+      currency: body.postData.currency ?? existingPost.currency,
+    };
     const updatedPost = await prisma.post.update({
       where: { id },
       data: {
-        title: body.postData.title,
-        price: parseInt(body.postData.price),
-        currency: body.postData.currency || existingPost.currency,
-        address: body.postData.address,
-        city: body.postData.city,
-        bedroom: parseInt(body.postData.bedroom),
-        bathroom: parseInt(body.postData.bathroom),
-        type: body.postData.type,
-        property: body.postData.property,
-        latitude: body.postData.latitude,
-        longitude: body.postData.longitude,
-        images: body.postData.images || existingPost.images,
-        postDetail: {
+        // Only fields present in the request are changed; the body is already validated
+        ...body.postData,
+        ...location,
+        ...priceChange,
+        ...(priceChange && {
+          basePrice: toBase(updatedPrice.price, updatedPrice.currency, await getRates()),
+        }),
+        postDetail: detail && {
           upsert: {
-            create: body.postDetail,
-            update: body.postDetail,
+            create: detail,
+            update: detail,
           },
         },
       },
@@ -188,7 +292,28 @@ export const updatePost = async (req, res) => {
       },
     });
 
-    res.status(200).json(updatedPost);
+    // 3. Delete the files of images the update dropped
+    const removedImages = existingPost.images.filter((url) => !updatedPost.images.includes(url));
+    await removeUploadsQuietly(removedImages);
+
+    // 4. Alert saved searches the listing only matches since this change
+    notifySavedSearchMatchesQuietly(updatedPost, existingPost);
+
+    if (priceChange?.priceDropPercent) {
+      await notifyPostSavers(updatedPost, {
+        type: "saved_post_price_drop",
+        title: `Price drop of ${priceChange.priceDropPercent}% on a saved listing`,
+        body: `${updatedPost.title} is now ${updatedPost.price.toLocaleString()} ${updatedPost.currency}`,
+        data: {
+          postId: id,
+          oldPrice: existingPost.price,
+          newPrice: updatedPost.price,
+          priceDropPercent: priceChange.priceDropPercent,
+        },
+      });
+    }
+
+    res.status(200).json(withPriceDrop(updatedPost));
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to update post" });
@@ -213,11 +338,163 @@ export const deletePost = async (req, res) => {
       await prisma.postDetail.delete({ where: { postId: id } });
     }
     await prisma.savedPost.deleteMany({ where: { postId: id } });
+    await prisma.report.deleteMany({ where: { postId: id } });
+    await prisma.priceHistory.deleteMany({ where: { postId: id } });
+    await prisma.postStatusChange.deleteMany({ where: { postId: id } });
+    // Conversations about the listing stay, they just lose the listing card
+    await prisma.chat.updateMany({ where: { postId: id }, data: { postId: null } });
     await prisma.post.delete({ where: { id } });
+    await removeUploadsQuietly(post.images);
 
     res.status(200).json({ message: "Post deleted successfully" });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to delete post" });
   }
-};
\ No newline at end of file
+};
+
+// REPORT POST
+export const reportPost = async (req, res) => {
+  const id = req.params.id;
+  const tokenUserId = req.userId;
+  const { reason, details } = req.body;
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id } });
+
+    if (!post) return res.status(404).json({ message: "Post not found!" });
+    if (post.userId === tokenUserId) {
+      return res.status(400).json({ message: "You cannot report your own post!" });
+    }
+
+    await prisma.report.create({
+      data: {
+        postId: id,
+        reporterId: tokenUserId,
+        reason,
+        details,
+      },
+    });
+
+    res.status(201).json({ message: "Thanks, our moderators will review this listing" });
+  } catch (err) {
+    // One report per user per post
+    if (err.code === "P2002") {
+      return res.status(409).json({ message: "You have already reported this post!" });
+    }
+    console.log(err);
+    res.status(500).json({ message: "Failed to report post" });
+  }
+};
+
+// PRICE HISTORY (oldest first)
+export const getPriceHistory = async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const post = await prisma.post.findUnique({
+      where: { id },
+      select: { userId: true, status: true, price: true, currency: true, priceDropPercent: true },
+    });
+
+    if (!post) return res.status(404).json({ message: "Post not found" });
+
+    const { user: viewer } = await authenticate(req);
+    if (!canView(post, viewer)) {
+      return res.status(403).json({ message: hiddenMessage(post) });
+    }
+
+    const history = await prisma.priceHistory.findMany({
+      where: { postId: id },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.status(200).json({
+      price: post.price,
+      currency: post.currency,
+      reduced: post.priceDropPercent > 0,
+      priceDropPercent: post.priceDropPercent ?? null,
+      history,
+    });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get price history" });
+  }
+};
+
+// Loads a post the logged-in user owns, or answers 404/403 and resolves to null
+const findOwnPost = async (req, res) => {
+  const post = await prisma.post.findUnique({ where: { id: req.params.id } });
+
+  if (!post) {
+    res.status(404).json({ message: "Post not found!" });
+    return null;
+  }
+  if (post.userId !== req.userId) {
+    res.status(403).json({ message: "Not Authorized!" });
+    return null;
+  }
+  return post;
+};
+
+// CHANGE STATUS (publish a draft, mark under offer, sold or rented, ...)
+export const updatePostStatus = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    const result = await changeStatus(post, req.body.status, req.userId);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(200).json(result.post);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to update post status" });
+  }
+};
+
+// RENEW (start a new listing period)
+export const renewPost = async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    const result = await renewListing(post, req.userId);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(200).json(result.post);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to renew post" });
+  }
+};
+
+// STATUS HISTORY (owner and staff only, oldest first)
+export const getStatusHistory = async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const [post, viewer] = await Promise.all([
+      prisma.post.findUnique({ where: { id }, select: { userId: true } }),
+      prisma.user.findUnique({ where: { id: req.userId } }),
+    ]);
+    if (!post) return res.status(404).json({ message: "Post not found!" });
+
+    if (
+      post.userId !== viewer.id &&
+      !hasPermission(viewer, PERMISSIONS.DELIST_POSTS) &&
+      !hasPermission(viewer, PERMISSIONS.REVIEW_LISTINGS)
+    ) {
+      return res.status(403).json({ message: "Not Authorized!" });
+    }
+
+    const changes = await prisma.postStatusChange.findMany({
+      where: { postId: id },
+      orderBy: { createdAt: "asc" },
+    });
+    res.status(200).json(changes);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get status history" });
+  }
+};
@@ -0,0 +1,85 @@
+import prisma from "../lib/prisma.js";
+import { checkFilters, createSavedSearch } from "../lib/savedSearches.js";
+
+export const getSavedSearches = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const savedSearches = await prisma.savedSearch.findMany({
+      where: { userId: tokenUserId },
+      orderBy: { createdAt: "desc" },
+    });
+    res.status(200).json(savedSearches);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to get saved searches!" });
+  }
+};
+
+export const addSavedSearch = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const result = await createSavedSearch(tokenUserId, req.body);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    res.status(201).json(result.savedSearch);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to save search!" });
+  }
+};
+
+export const updateSavedSearch = async (req, res) => {
+  const id = req.params.id;
+  const tokenUserId = req.userId;
+  const { name, filters, alerts } = req.body;
+
+  try {
+    const savedSearch = await prisma.savedSearch.findUnique({ where: { id } });
+
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found!" });
+    if (savedSearch.userId !== tokenUserId) {
+      return res.status(403).json({ message: "Not Authorized!" });
+    }
+
+    if (filters) {
+      const error = checkFilters(filters);
+      if (error) return res.status(400).json({ message: error });
+    }
+
+    const updatedSearch = await prisma.savedSearch.update({
+      where: { id },
+      data: {
+        ...(name && { name }),
+        ...(filters && { filters: { set: filters } }),
+        ...(alerts !== undefined && { alerts }),
+      },
+    });
+
+    res.status(200).json(updatedSearch);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to update saved search!" });
+  }
+};
+
+export const deleteSavedSearch = async (req, res) => {
+  const id = req.params.id;
+  const tokenUserId = req.userId;
+
+  try {
+    const savedSearch = await prisma.savedSearch.findUnique({ where: { id } });
+
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found!" });
+    if (savedSearch.userId !== tokenUserId) {
+      return res.status(403).json({ message: "Not Authorized!" });
+    }
+
+    await prisma.savedSearch.delete({ where: { id } });
+    res.status(200).json({ message: "Saved search deleted" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to delete saved search!" });
+  }
+};
@@ -0,0 +1,48 @@
+import prisma from "../lib/prisma.js";
+import { createUpload, removeUploads, urlsInUse } from "../lib/uploads.js";
+
+export const uploadFiles = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const uploads = [];
+    const errors = {};
+
+    for (const [index, file] of req.files.entries()) {
+      const result = await createUpload(tokenUserId, file);
+      if (result.error) errors[`files[${index}]`] = result.error;
+      else uploads.push(result);
+    }
+
+    // Nothing is kept when one of the files is rejected, so the client can simply retry the batch
+    if (Object.keys(errors).length > 0) {
+      await removeUploads(uploads.flatMap((upload) => upload.urls));
+      return res.status(400).json({ message: "Invalid input!", errors });
+    }
+
+    res.status(201).json(uploads.map(({ keys, ...upload }) => upload));
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to upload files!" });
+  }
+};
+
+export const deleteUpload = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  try {
+    const upload = await prisma.upload.findUnique({ where: { id: req.params.id } });
+
+    if (!upload) return res.status(404).json({ message: "Upload not found!" });
+    if (upload.userId !== tokenUserId) return res.status(403).json({ message: "Not Authorized!" });
+    if ((await urlsInUse(upload.urls)).size > 0) {
+      return res.status(409).json({ message: "Upload is still used by a listing, an avatar or a message!" });
+    }
+
+    await removeUploads(upload.urls);
+    res.status(200).json({ message: "Upload deleted" });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to delete upload!" });
+  }
+};
@@ -1,5 +1,17 @@
 import prisma from "../lib/prisma.js";
 import bcrypt from "bcrypt";
+import { pageArgs, parsePagination, toPage } from "../lib/pagination.js";
+import { revokeUserSessions } from "../lib/session.js";
+import { disconnectUser } from "../lib/realtime.js";
+import { countUnread } from "../lib/chat.js";
+import { foreignImages, removeUploadFiles, removeUploadsQuietly } from "../lib/uploads.js";
+import { toggleSavedPost } from "../lib/posts.js";
+import { sendVerificationEmail } from "../lib/authTokens.js";
+
+const POST_SORT_FIELDS = ["createdAt", "price", "bedroom"];
+
+// Listings in different currencies are sorted by their base-currency price
+const postOrderBy = ({ sort, order }) => ({ [sort === "price" ? "basePrice" : sort]: order });
 
 export const getUsers = async (req, res) => {
   try {
@@ -35,19 +47,53 @@ export const updateUser = async (req, res) => {
 
   let updatedPassword = null;
   try {
+    const currentUser = await prisma.user.findUnique({
+      where: { id },
+      select: { avatar: true, email: true },
+    });
+
+    // Avatars must be one of the user's own uploads
+    if (avatar && avatar !== currentUser.avatar && (await foreignImages(id, [avatar])).length > 0) {
+      return res.status(400).json({
+        message: "Invalid input!",
+        errors: { avatar: "must be uploaded through /api/uploads first" },
+      });
+    }
+
     if (password) {
       updatedPassword = await bcrypt.hash(password, 10);
     }
 
+    // A new address has to be verified again, or anyone could take over an unclaimed ADMIN_EMAILS address
+    const emailChanged = !!inputs.email && inputs.email !== currentUser.email;
+
     const updatedUser = await prisma.user.update({
       where: { id },
       data: {
         ...inputs,
         ...(updatedPassword && { password: updatedPassword }),
         ...(avatar && { avatar }),
+        ...(emailChanged && { emailVerifiedAt: null }),
       },
     });
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailErr) {
+        console.log(mailErr);
+      }
+    }
+
+    // A new password signs out every other device
+    if (updatedPassword) {
+      await revokeUserSessions(id, { except: req.sessionId });
+    }
+
+    if (avatar && currentUser.avatar && avatar !== currentUser.avatar) {
+      await removeUploadsQuietly([currentUser.avatar]);
+    }
+
     const { password: userPassword, ...rest } = updatedUser;
 
     res.status(200).json(rest);
@@ -66,9 +112,37 @@ export const deleteUser = async (req, res) => {
   }
 
   try {
-    await prisma.user.delete({
-      where: { id },
+    // Listings are removed through DELETE /api/posts/:id, which also tidies up their chats and reports
+    const postCount = await prisma.post.count({ where: { userId: id } });
+    if (postCount > 0) {
+      return res.status(409).json({ message: "Delete your listings before deleting your account!" });
+    }
+
+    const uploads = await prisma.upload.findMany({ where: { userId: id } });
+    const assistantSessions = await prisma.assistantSession.findMany({
+      where: { userId: id },
+      select: { id: true },
     });
+
+    // All or nothing, so a failed delete never leaves a half-removed account behind
+    await prisma.$transaction([
+      prisma.session.deleteMany({ where: { userId: id } }),
+      prisma.authToken.deleteMany({ where: { userId: id } }),
+      prisma.report.deleteMany({ where: { reporterId: id } }),
+      prisma.savedSearch.deleteMany({ where: { userId: id } }),
+      prisma.savedPost.deleteMany({ where: { userId: id } }),
+      prisma.notification.deleteMany({ where: { userId: id } }),
+      prisma.assistantMessage.deleteMany({
+        where: { sessionId: { in: assistantSessions.map((session) => session.id) } },
+      }),
+      prisma.assistantSession.deleteMany({ where: { userId: id } }),
+      prisma.upload.deleteMany({ where: { userId: id } }),
+      prisma.user.delete({ where: { id } }),
+    ]);
+    disconnectUser(id);
+
+    // Stored files go last, once the account is gone
+    await removeUploadFiles(uploads).catch((err) => console.log("Upload cleanup failed:", err));
     res.status(200).json({ message: "User deleted" });
   } catch (err) {
     console.log(err);
@@ -81,31 +155,8 @@ export const savePost = async (req, res) => {
   const tokenUserId = req.userId;
 
   try {
-    const savedPost = await prisma.savedPost.findUnique({
-      where: {
-        userId_postId: {
-          userId: tokenUserId,
-          postId,
-        },
-      },
-    });
-
-    if (savedPost) {
-      await prisma.savedPost.delete({
-        where: {
-          id: savedPost.id,
-        },
-      });
-      return res.status(200).json({ message: "Post removed from saved list" });
-    } else {
-      await prisma.savedPost.create({
-        data: {
-          userId: tokenUserId,
-          postId,
-        },
-      });
-      return res.status(200).json({ message: "Post saved" });
-    }
+    const saved = await toggleSavedPost(tokenUserId, postId);
+    res.status(200).json({ message: saved ? "Post saved" : "Post removed from saved list" });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to save/unsave property!" });
@@ -114,19 +165,54 @@ export const savePost = async (req, res) => {
 
 export const profilePosts = async (req, res) => {
   const tokenUserId = req.userId;
+
+  // Both lists share limit/sort/order but page independently through their own cursor
+  const postsPage = parsePagination(req.query, {
+    sortFields: POST_SORT_FIELDS,
+    cursorParam: "userPostsCursor",
+  });
+  if (postsPage.error) return res.status(400).json({ message: postsPage.error });
+
+  const savedPage = parsePagination(req.query, {
+    sortFields: POST_SORT_FIELDS,
+    cursorParam: "savedPostsCursor",
+  });
+  if (savedPage.error) return res.status(400).json({ message: savedPage.error });
+
   try {
-    const userPosts = await prisma.post.findMany({
-      where: { userId: tokenUserId },
-    });
-    const saved = await prisma.savedPost.findMany({
-      where: { userId: tokenUserId },
-      include: {
-        post: true,
-      },
+    const userWhere = { userId: tokenUserId };
+    const savedWhere = { userId: tokenUserId };
+
+    // Saved posts sort by when they were saved, or by the fields of the post itself
+    const savedOrderBy =
+      savedPage.sort === "createdAt"
+        ? { createdAt: savedPage.order }
+        : { post: postOrderBy(savedPage) };
+
+    const [userPosts, userTotal, saved, savedTotal] = await Promise.all([
+      prisma.post.findMany({ where: userWhere, ...pageArgs(postsPage, postOrderBy(postsPage)) }),
+      prisma.post.count({ where: userWhere }),
+      prisma.savedPost.findMany({
+        where: savedWhere,
+        include: {
+          post: true,
+        },
+        ...pageArgs(savedPage, savedOrderBy),
+      }),
+      prisma.savedPost.count({ where: savedWhere }),
+    ]);
+
+    // The saved list cursor is the SavedPost id, so it is carried over before unwrapping the posts
+    const savedEnvelope = toPage(saved, savedTotal, savedPage);
+    const savedPosts = {
+      ...savedEnvelope,
+      data: savedEnvelope.data.map((item) => item.post),
+    };
+
+    res.status(200).json({
+      userPosts: toPage(userPosts, userTotal, postsPage),
+      savedPosts,
     });
-
-    const savedPosts = saved.map((item) => item.post);
-    res.status(200).json({ userPosts, savedPosts });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get profile posts!" });
@@ -136,48 +222,10 @@ export const profilePosts = async (req, res) => {
 export const getNotificationNumber = async (req, res) => {
   const tokenUserId = req.userId;
   try {
-    const number = await prisma.chat.count({
-      where: {
-        userIDs: {
-          hasSome: [tokenUserId],
-        },
-        NOT: {
-          seenBy: {
-            hasSome: [tokenUserId],
-          },
-        },
-      },
-    });
+    const number = await countUnread(tokenUserId);
     res.status(200).json(number);
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get notification number!" });
   }
 };
-
-export const adminMe = async (req, res) => {
-  const tokenUserId = req.userId;
-  try {
-    const user = await prisma.user.findUnique({
-      where: { id: tokenUserId },
-    });
-
-    if (!user) {
-      return res.status(404).json({ message: "User not found!" });
-    }
-
-    if (user.username !== "Runo") {
-      return res.status(403).json({ message: "Only Runo can become admin through this endpoint!" });
-    }
-
-    await prisma.user.update({
-      where: { id: tokenUserId },
-      data: { isAdmin: true },
-    });
-
-    res.status(200).json({ message: "You are now an admin, Runo!" });
-  } catch (err) {
-    console.log(err);
-    res.status(500).json({ message: "Failed to become admin!" });
-  }
-};
@@ -0,0 +1,139 @@
+import fs from "fs/promises";
+import prisma from "./prisma.js";
+import { haversineKm } from "./geo.js";
+
+// Distances from a listing to the nearest school, bus stop, restaurant and hospital, computed from
+// a local points-of-interest file instead of being typed in by the owner. The file is an Overpass
+// API JSON export (AMENITIES_FILE, default data/amenities.json), e.g. for Lagos:
+//   [out:json];area["name"="Lagos"]["admin_level"="4"]->.a;
+//   (nwr(area.a)[amenity~"^(school|college|university|restaurant|fast_food|cafe|hospital|clinic|bus_station)$"];
+//    node(area.a)[highway=bus_stop];);out center;
+// Distances are stored in metres on PostDetail; null when nothing is within MAX_DISTANCE_KM.
+export const AMENITY_TYPES = ["school", "bus", "restaurant", "hospital"];
+
+const MAX_DISTANCE_KM = 5;
+
+// Points are bucketed into CELL_DEGREES squares so a lookup only checks the cells around the listing
+const CELL_DEGREES = 0.05;
+
+const amenityType = (tags = {}) => {
+  if (["school", "college", "university", "kindergarten"].includes(tags.amenity)) return "school";
+  if (tags.highway === "bus_stop" || tags.amenity === "bus_station") return "bus";
+  if (["restaurant", "fast_food", "cafe", "food_court"].includes(tags.amenity)) return "restaurant";
+  if (["hospital", "clinic"].includes(tags.amenity) || tags.healthcare === "hospital") return "hospital";
+  return null;
+};
+
+const cellOf = (lat, lng) => `${Math.floor(lat / CELL_DEGREES)}:${Math.floor(lng / CELL_DEGREES)}`;
+
+const buildIndex = (elements) => {
+  const index = Object.fromEntries(AMENITY_TYPES.map((type) => [type, new Map()]));
+  let count = 0;
+
+  for (const element of elements) {
+    const type = amenityType(element.tags);
+    // Ways and relations only have a position when exported with "out center"
+    const lat = element.lat ?? element.center?.lat;
+    const lng = element.lon ?? element.center?.lon;
+    if (!type || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+    const cell = cellOf(lat, lng);
+    if (!index[type].has(cell)) index[type].set(cell, []);
+    index[type].get(cell).push({ lat, lng });
+    count++;
+  }
+
+  return { index, count };
+};
+
+let loading = null;
+
+// Loads the dataset once; null when there is none, in which case owners' own values are kept
+export const loadAmenities = () => {
+  if (!loading) {
+    const file = process.env.AMENITIES_FILE || "data/amenities.json";
+    loading = fs
+      .readFile(file, "utf8")
+      .then((text) => {
+        const { index, count } = buildIndex(JSON.parse(text).elements ?? []);
+        console.log(`Loaded ${count} amenities from ${file}`);
+        return index;
+      })
+      .catch((err) => {
+        console.log(`No amenities dataset (${err.code ?? err.message}), distances are left as entered.`);
+        return null;
+      });
+  }
+  return loading;
+};
+
+const nearestKm = (cells, point) => {
+  const latSteps = Math.ceil(MAX_DISTANCE_KM / 111.32 / CELL_DEGREES);
+  const lngSteps = Math.min(
+    Math.ceil(360 / CELL_DEGREES),
+    Math.ceil(MAX_DISTANCE_KM / (111.32 * Math.max(Math.cos((point.lat * Math.PI) / 180), 0.01)) / CELL_DEGREES)
+  );
+  const latCell = Math.floor(point.lat / CELL_DEGREES);
+  const lngCell = Math.floor(point.lng / CELL_DEGREES);
+
+  let nearest = Infinity;
+  for (let i = latCell - latSteps; i <= latCell + latSteps; i++) {
+    for (let j = lngCell - lngSteps; j <= lngCell + lngSteps; j++) {
+      for (const place of cells.get(`${i}:${j}`) ?? []) {
+        nearest = Math.min(nearest, haversineKm(point, place));
+      }
+    }
+  }
+  return nearest <= MAX_DISTANCE_KM ? nearest : null;
+};
+
+// PostDetail fields for a listing at these coordinates, e.g. { school: 420, bus: 150, ... },
+// or null when no dataset is loaded
+export const amenityDistances = async ({ latitude, longitude }) => {
+  const index = await loadAmenities();
+  if (!index) return null;
+
+  const point = { lat: latitude, lng: longitude };
+  return Object.fromEntries(
+    AMENITY_TYPES.map((type) => {
+      const km = nearestKm(index[type], point);
+      return [type, km === null ? null : Math.round(km * 1000)];
+    })
+  );
+};
+
+// Reads ?schoolKm=&busKm=&restaurantKm=&hospitalKm=, e.g. ?schoolKm=1 for "within 1km of a school".
+// Returns PostDetail filters in metres, or { error }.
+export const parseAmenityQuery = (query) => {
+  const filters = {};
+  for (const type of AMENITY_TYPES) {
+    const value = query[`${type}Km`];
+    if (value === undefined || value === "") continue;
+
+    const km = parseFloat(value);
+    if (!Number.isFinite(km) || km <= 0 || km > MAX_DISTANCE_KM) {
+      return { error: `${type}Km must be between 0 and ${MAX_DISTANCE_KM}!` };
+    }
+    filters[type] = { lte: Math.round(km * 1000) };
+  }
+  return { filters };
+};
+
+// Recomputes the distances of every post that has details; used after loading a new dataset
+export const refreshAmenities = async () => {
+  if (!(await loadAmenities())) return null;
+
+  const posts = await prisma.post.findMany({
+    where: { postDetail: { isNot: null } },
+    select: { id: true, latitude: true, longitude: true },
+  });
+
+  for (const post of posts) {
+    await prisma.postDetail.update({
+      where: { postId: post.id },
+      data: await amenityDistances(post),
+    });
+  }
+
+  return posts.length;
+};
@@ -0,0 +1,95 @@
+import prisma from "./prisma.js";
+
+// Assistant conversations are stored per user, so they survive restarts and work across instances.
+// Sessions are removed ASSISTANT_SESSION_RETENTION_DAYS after their last message.
+const RETENTION_DAYS = parseInt(process.env.ASSISTANT_SESSION_RETENTION_DAYS) || 30;
+
+// Only the most recent messages are sent to the model as context
+const MAX_HISTORY_LENGTH = 20;
+
+const MAX_TITLE_LENGTH = 60;
+
+const SESSION_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+export const EMPTY_COLLECTED = {
+  location: null, // e.g. "Ikeja"
+  action: null, // "buy" | "rent"
+  propertyType: null, // "house" | "apartment" | "land" | "commercial"
+  bedrooms: null, // number | null
+  priceRange: null, // { min, max } | null
+};
+
+const withMessageCount = { include: { _count: { select: { messages: true } } } };
+
+// Session summary for the sessions list; without the messages themselves
+export const presentSession = ({ _count, ...session }) => ({
+  ...session,
+  messageCount: _count?.messages ?? 0,
+});
+
+// The session or null. Ids from before sessions were stored (e.g. "session_1712..._abc") are never found.
+export const findSession = (sessionId) =>
+  SESSION_ID_PATTERN.test(sessionId ?? "")
+    ? prisma.assistantSession.findUnique({ where: { id: sessionId }, ...withMessageCount })
+    : null;
+
+export const createSession = (userId) =>
+  prisma.assistantSession.create({
+    data: { userId, collected: EMPTY_COLLECTED, shownPostIds: [] },
+    ...withMessageCount,
+  });
+
+// Recent messages, oldest first, in the shape the response generator expects
+export const sessionHistory = async (sessionId) => {
+  const messages = await prisma.assistantMessage.findMany({
+    where: { sessionId },
+    orderBy: { createdAt: "desc" },
+    take: MAX_HISTORY_LENGTH,
+  });
+  return messages.reverse().map(({ role, content }) => ({ role, content }));
+};
+
+// Stores one exchange, the fields collected so far and the listings the reply was about (when a
+// search ran). The first message becomes the title.
+export const recordExchange = (session, { message, reply, collected, shownPostIds }) => {
+  const sentAt = new Date();
+  return prisma.assistantSession.update({
+    where: { id: session.id },
+    data: {
+      collected,
+      ...(shownPostIds && { shownPostIds }),
+      lastActivity: new Date(),
+      ...(!session.title && { title: message.trim().slice(0, MAX_TITLE_LENGTH) }),
+      messages: {
+        create: [
+          { role: "user", content: message, createdAt: sentAt },
+          // A millisecond later so the pair always sorts in order
+          { role: "model", content: reply, createdAt: new Date(sentAt.getTime() + 1) },
+        ],
+      },
+    },
+  });
+};
+
+const deleteSessions = async (where) => {
+  const sessions = await prisma.assistantSession.findMany({ where, select: { id: true } });
+  const ids = sessions.map((session) => session.id);
+  if (ids.length === 0) return 0;
+
+  await prisma.assistantMessage.deleteMany({ where: { sessionId: { in: ids } } });
+  await prisma.assistantSession.deleteMany({ where: { id: { in: ids } } });
+  return ids.length;
+};
+
+export const deleteSession = (sessionId) => deleteSessions({ id: sessionId });
+
+export const purgeExpiredSessions = () =>
+  deleteSessions({ lastActivity: { lt: new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000) } });
+
+// Removes sessions past their retention every hour while the server runs
+export const startSessionCleanupJob = () => {
+  const run = () =>
+    purgeExpiredSessions().catch((err) => console.log("Assistant session cleanup failed:", err));
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+};
@@ -0,0 +1,243 @@
+import prisma from "./prisma.js";
+import { callTools } from "./llm/index.js";
+import { loadPost, toggleSavedPost } from "./posts.js";
+import { findOrCreateChat } from "./chat.js";
+import { createSavedSearch, filtersFromCollected } from "./savedSearches.js";
+import { BASE_CURRENCY, formatAmount } from "./currency.js";
+
+// Actions the assistant can take on the user's behalf through LLM tool calling. Every action runs as
+// the session's owner (already authenticated by the route) and is confirmed in the reply it returns.
+// Listings are referred to by id or by their number in the last results the assistant showed.
+
+const MODELS = { groq: "llama-3.3-70b-versatile", gemini: "gemini-2.0-flash" };
+
+// Messages that can't be asking for an action skip the extra model call
+const ACTION_HINT =
+  /\b(save|bookmark|favou?rite|compare|comparison|versus|vs|contact|message|chat|call|owner|landlord|agent|details?|more about|tell me about|open|alert|notify|first|second|third|last one|number \d|#\d|no\.? ?\d)\b/i;
+
+export const mightBeAction = (message) => ACTION_HINT.test(message);
+
+const listing = {
+  type: "string",
+  description: "The listing's id, or its number in the list of listings shown to the user (\"1\" for the first)",
+};
+
+export const ASSISTANT_TOOLS = [
+  {
+    name: "show_listing",
+    description: "Open the full details of one listing: description, size, amenities, owner and price.",
+    parameters: { type: "object", properties: { listing }, required: ["listing"] },
+  },
+  {
+    name: "compare_listings",
+    description: "Compare two or three listings side by side.",
+    parameters: {
+      type: "object",
+      properties: { listings: { type: "array", items: listing, minItems: 2, maxItems: 3 } },
+      required: ["listings"],
+    },
+  },
+  {
+    name: "save_listing",
+    description: "Add a listing to the user's saved listings.",
+    parameters: { type: "object", properties: { listing }, required: ["listing"] },
+  },
+  {
+    name: "contact_owner",
+    description: "Start a chat between the user and the owner of a listing.",
+    parameters: { type: "object", properties: { listing }, required: ["listing"] },
+  },
+  {
+    name: "save_search",
+    description: "Save the search the user has described so far and alert them about new matching listings.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Short name for the search, if the user gave one" },
+        alerts: { type: "boolean", description: "False only when the user asked not to be notified" },
+      },
+    },
+  },
+];
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const resolveListing = (reference, shownPostIds) => {
+  const value = String(reference ?? "").trim().replace(/^#/, "");
+  if (/^\d+$/.test(value)) return shownPostIds[parseInt(value) - 1] ?? null;
+  return OBJECT_ID_PATTERN.test(value) ? value : null;
+};
+
+const formatPrice = (post) =>
+  post.basePrice != null ? formatAmount(post.basePrice, BASE_CURRENCY) : formatAmount(post.price, post.currency);
+
+const AMENITY_LABELS = { school: "school", bus: "bus stop", restaurant: "restaurant", hospital: "hospital" };
+
+const formatAmenities = (detail) =>
+  Object.entries(AMENITY_LABELS)
+    .filter(([field]) => detail?.[field] != null)
+    .map(([field, label]) => `${label} ${detail[field] >= 1000 ? `${(detail[field] / 1000).toFixed(1)} km` : `${detail[field]} m`}`)
+    .join(", ");
+
+const summary = (post) =>
+  [
+    `${post.bedroom} bed, ${post.bathroom} bath`,
+    post.postDetail?.size && `${post.postDetail.size} sqft`,
+    post.type === "rent" ? "for rent" : "for sale",
+  ]
+    .filter(Boolean)
+    .join(" | ");
+
+// Loads a listing the user referred to, as getPost would show it to them: { post } or { message }
+const openListing = async (reference, { viewer, shownPostIds }) => {
+  const id = resolveListing(reference, shownPostIds);
+  if (!id) return { message: `I couldn't tell which listing "${reference}" is.` };
+
+  const result = await loadPost(id, viewer);
+  return result.status ? { message: result.message } : { post: result.post };
+};
+
+const actions = {
+  show_listing: async ({ listing: reference }, context) => {
+    const { post, message } = await openListing(reference, context);
+    if (!post) return { ok: false, message };
+
+    const amenities = formatAmenities(post.postDetail);
+    const desc = post.postDetail?.desc;
+    return {
+      ok: true,
+      message: [
+        `${post.title} in ${post.city} — ${formatPrice(post)}, ${summary(post)}.`,
+        amenities && `Nearby: ${amenities}.`,
+        desc && (desc.length > 280 ? `${desc.slice(0, 280)}…` : desc),
+        `Listed by ${post.user.username}.`,
+      ]
+        .filter(Boolean)
+        .join(" "),
+      data: { post },
+    };
+  },
+
+  compare_listings: async ({ listings = [] }, context) => {
+    if (listings.length < 2 || listings.length > 3) {
+      return { ok: false, message: "I can compare two or three listings at a time." };
+    }
+
+    const posts = [];
+    for (const reference of listings) {
+      const { post, message } = await openListing(reference, context);
+      if (!post) return { ok: false, message };
+      posts.push(post);
+    }
+
+    const lines = posts.map((post, i) => {
+      const amenities = formatAmenities(post.postDetail);
+      return `${i + 1}. ${post.title} (${post.city}): ${formatPrice(post)} | ${summary(post)}${amenities ? ` | ${amenities}` : ""}`;
+    });
+    const priced = posts.filter((post) => post.basePrice != null);
+    const cheapest = priced.length > 1 && priced.reduce((a, b) => (b.basePrice < a.basePrice ? b : a));
+
+    return {
+      ok: true,
+      message: [
+        "Here's how they compare:",
+        ...lines,
+        cheapest && `${cheapest.title} is the cheapest.`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      data: { posts },
+    };
+  },
+
+  save_listing: async ({ listing: reference }, context) => {
+    const { post, message } = await openListing(reference, context);
+    if (!post) return { ok: false, message };
+
+    // Same as the save button, which would unsave an already saved listing
+    if (!post.isSaved) await toggleSavedPost(context.userId, post.id);
+    return {
+      ok: true,
+      message: post.isSaved
+        ? `${post.title} is already in your saved listings.`
+        : `Saved ${post.title} to your saved listings.`,
+      data: { postId: post.id },
+    };
+  },
+
+  contact_owner: async ({ listing: reference }, context) => {
+    const { post, message } = await openListing(reference, context);
+    if (!post) return { ok: false, message };
+
+    const result = await findOrCreateChat(context.userId, { postId: post.id });
+    if (result.status) return { ok: false, message: result.message };
+
+    return {
+      ok: true,
+      message: result.created
+        ? `I've started a chat with ${post.user.username} about ${post.title}. You can message them from your chats.`
+        : `You already have a chat with ${post.user.username} about ${post.title} — it's in your chats.`,
+      data: { chatId: result.chat.id, postId: post.id },
+    };
+  },
+
+  save_search: async ({ name, alerts }, context) => {
+    const result = await createSavedSearch(context.userId, {
+      name: typeof name === "string" && name.trim() ? name.trim().slice(0, 100) : undefined,
+      alerts: alerts !== false,
+      filters: filtersFromCollected(context.collected),
+    });
+    if (result.status) return { ok: false, message: result.message };
+
+    return {
+      ok: true,
+      message: result.savedSearch.alerts
+        ? `Saved "${result.savedSearch.name}". I'll let you know when new listings match it.`
+        : `Saved "${result.savedSearch.name}" to your saved searches.`,
+      data: { savedSearchId: result.savedSearch.id },
+    };
+  },
+};
+
+const buildToolPrompt = (shownPosts) => `You are Runo, PrimeNest's property assistant. Decide whether the user's latest message asks you to do one of the available actions, and call the matching tool if it does.
+Only call a tool when the user clearly asks for it. For searches, questions and chat, call no tool and reply with an empty message.
+
+LISTINGS SHOWN TO THE USER (refer to them by number):
+${shownPosts.length > 0
+    ? shownPosts.map((post, i) => `${i + 1}. ${post.title} — ${post.city} (id ${post.id})`).join("\n")
+    : "None yet."}`;
+
+// Asks the model which actions the message requests and runs them for the session's owner.
+// Returns [{ tool, ok, message, data }], empty when nothing was asked for.
+export const runAssistantTools = async (message, { session, history, collected }) => {
+  const shownPostIds = session.shownPostIds ?? [];
+  const shownPosts = await prisma.post.findMany({
+    where: { id: { in: shownPostIds } },
+    select: { id: true, title: true, city: true },
+  });
+  shownPosts.sort((a, b) => shownPostIds.indexOf(a.id) - shownPostIds.indexOf(b.id));
+
+  const { toolCalls } = await callTools({
+    messages: [
+      { role: "system", content: buildToolPrompt(shownPosts) },
+      ...history.slice(-6).map((m) => ({ role: m.role === "model" ? "assistant" : m.role, content: m.content })),
+      { role: "user", content: message },
+    ],
+    tools: ASSISTANT_TOOLS,
+    models: MODELS,
+    retries: 2,
+    retryDelay: 500,
+  });
+  if (toolCalls.length === 0) return [];
+
+  const viewer = await prisma.user.findUnique({ where: { id: session.userId } });
+  const context = { userId: session.userId, viewer, shownPostIds, collected };
+
+  const results = [];
+  for (const call of toolCalls) {
+    const action = actions[call.name];
+    if (!action) continue;
+    results.push({ tool: call.name, ...(await action(call.arguments ?? {}, context)) });
+  }
+  return results;
+};
@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import prisma from "./prisma.js";
+import { sendMail } from "./mail/index.js";
+import { verificationEmail } from "./mail/templates.js";
+
+export const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+export const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issues a single-use token of `type` for a user; any earlier unused token of that type stops working
+export const createAuthToken = async (userId, type, ttl) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await prisma.authToken.updateMany({
+    where: { userId, type, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  await prisma.authToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttl),
+      // Stored explicitly: on MongoDB a `usedAt: null` filter does not match an unset field
+      usedAt: null,
+    },
+  });
+
+  return token;
+};
+
+// Marks a token used and returns its record, or null if it is unknown, expired or already used
+export const consumeAuthToken = async (token, type) => {
+  const record = await prisma.authToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!record || record.type !== type || record.usedAt || record.expiresAt < new Date()) {
+    return null;
+  }
+
+  // Conditional update so two requests racing with the same token cannot both succeed
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? record : null;
+};
+
+// Emails a link that confirms the user's current address
+export const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user.id, "email_verification", EMAIL_VERIFICATION_TTL);
+  await sendMail(verificationEmail(user, token));
+};
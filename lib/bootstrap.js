@@ -0,0 +1,27 @@
+import prisma from "./prisma.js";
+
+const adminEmails = () =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// Promotes the accounts listed in ADMIN_EMAILS to admin.
+// Only verified addresses qualify, so nobody can claim admin by registering a listed email first.
+export const bootstrapAdmins = async (userId) => {
+  const emails = adminEmails();
+  if (emails.length === 0) return;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      ...(userId && { id: userId }),
+      email: { in: emails },
+      // Changing the email sets this back to null, which `isSet` would still match
+      emailVerifiedAt: { not: null },
+      role: { not: "admin" },
+    },
+    data: { role: "admin" },
+  });
+
+  if (count > 0) console.log(`Promoted ${count} account(s) from ADMIN_EMAILS to admin.`);
+};
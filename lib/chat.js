@@ -0,0 +1,186 @@
+import prisma from "./prisma.js";
+
+// Messages written before soft-delete existed have no deletedAt field at all,
+// and on MongoDB `deletedAt: null` does not match an unset field
+export const NOT_DELETED = { OR: [{ deletedAt: null }, { deletedAt: { isSet: false } }] };
+
+// Deleted messages keep their place in the history but lose their content
+export const presentMessage = (message) =>
+  message.deletedAt ? { ...message, text: "", attachments: [], sharedPostId: null } : message;
+
+// Text shown in the inbox for a message, including ones without text
+export const previewText = (message) => {
+  if (message.text) return message.text;
+  if (message.attachments?.length) {
+    return message.attachments.every((a) => a.kind === "image") ? "[Photo]" : "[Attachment]";
+  }
+  if (message.sharedPostId) return "[Shared listing]";
+  return "";
+};
+
+export const LISTING_CARD_SELECT = {
+  id: true,
+  title: true,
+  price: true,
+  currency: true,
+  images: true,
+  city: true,
+  address: true,
+  type: true,
+  property: true,
+  status: true,
+};
+
+// Compact listing summary shown on chats and shared-listing messages
+export const toListingCard = (post) =>
+  post && { ...post, images: undefined, image: post.images[0] ?? null };
+
+// Chats that are not about a particular listing. Older chats have no postId field at all,
+// and on MongoDB `postId: null` does not match an unset field.
+const GENERAL_CHAT = { OR: [{ postId: null }, { postId: { isSet: false } }] };
+
+// Returns the existing conversation between the two users about the listing (or the general one
+// when no listing is given), creating it if needed: { chat, created } or { status, message }.
+// When a listing is given the receiver defaults to its owner.
+export const findOrCreateChat = async (userId, { receiverId, postId }) => {
+  if (postId) {
+    const post = await prisma.post.findUnique({
+      where: { id: postId },
+      select: { userId: true },
+    });
+    if (!post) return { status: 404, message: "Post not found!" };
+
+    receiverId = receiverId ?? post.userId;
+    if (post.userId !== userId && post.userId !== receiverId) {
+      return { status: 400, message: "Listing chats must include the listing owner!" };
+    }
+  }
+
+  if (!receiverId) return { status: 400, message: "Receiver ID is required!" };
+
+  // Prevent chatting with yourself
+  if (userId === receiverId) {
+    return { status: 400, message: "Cannot create chat with yourself!" };
+  }
+
+  // Sort user IDs to ensure consistent ordering (prevents race conditions)
+  const sortedUserIds = [userId, receiverId].sort();
+
+  // Check for existing chat with both users about the same listing
+  const existingChat = await prisma.chat.findFirst({
+    where: {
+      AND: [
+        { userIDs: { has: sortedUserIds[0] } },
+        { userIDs: { has: sortedUserIds[1] } },
+        postId ? { postId } : GENERAL_CHAT,
+      ],
+    },
+    include: {
+      messages: {
+        orderBy: { createdAt: "desc" },
+        take: 1,
+      },
+    },
+  });
+
+  // Return existing chat instead of creating duplicate
+  if (existingChat) return { chat: existingChat, created: false };
+
+  // Create new chat with sorted user IDs for consistency
+  const chat = await prisma.chat.create({
+    data: {
+      userIDs: sortedUserIds,
+      seenBy: [userId], // Creator has seen it
+      postId: postId ?? null,
+    },
+  });
+
+  return { chat, created: true };
+};
+
+// Moves the user's read marker to the newest message in the chat, or to `upTo` ({ id, createdAt })
+// when the user was only shown the chat up to that message. A partial read never moves the marker back.
+export const markChatRead = async (chat, userId, upTo = null) => {
+  if (upTo) {
+    const current = await prisma.chatReadState.findUnique({
+      where: { chatId_userId: { chatId: chat.id, userId } },
+    });
+    if (current && current.lastReadAt >= upTo.createdAt) return current;
+  }
+
+  const latest =
+    upTo ??
+    (await prisma.message.findFirst({
+      where: { chatId: chat.id },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      select: { id: true, createdAt: true },
+    }));
+
+  const data = {
+    lastReadMessageId: latest?.id ?? null,
+    lastReadAt: latest?.createdAt ?? new Date(),
+  };
+
+  const [readState] = await prisma.$transaction([
+    prisma.chatReadState.upsert({
+      where: { chatId_userId: { chatId: chat.id, userId } },
+      create: { chatId: chat.id, userId, ...data },
+      update: data,
+    }),
+    // seenBy is still kept up to date for older clients; other participants' entries are preserved
+    ...(upTo
+      ? []
+      : [
+          prisma.chat.update({
+            where: { id: chat.id },
+            data: { seenBy: { set: [...new Set([...chat.seenBy, userId])] } },
+          }),
+        ]),
+  ]);
+
+  return readState;
+};
+
+// Unread message count per chat id, counting only other people's messages newer than the read marker
+export const unreadCountsByChat = async (userId) => {
+  const [chats, readStates] = await Promise.all([
+    prisma.chat.findMany({
+      where: { userIDs: { has: userId } },
+      select: { id: true },
+    }),
+    prisma.chatReadState.findMany({ where: { userId } }),
+  ]);
+
+  const counts = new Map(chats.map((chat) => [chat.id, 0]));
+  if (chats.length === 0) return counts;
+
+  const lastReadAt = new Map(readStates.map((state) => [state.chatId, state.lastReadAt]));
+
+  const groups = await prisma.message.groupBy({
+    by: ["chatId"],
+    where: {
+      AND: [
+        { userId: { not: userId } },
+        NOT_DELETED,
+        {
+          OR: chats.map((chat) =>
+            lastReadAt.has(chat.id)
+              ? { chatId: chat.id, createdAt: { gt: lastReadAt.get(chat.id) } }
+              : { chatId: chat.id }
+          ),
+        },
+      ],
+    },
+    _count: { _all: true },
+  });
+
+  for (const group of groups) counts.set(group.chatId, group._count._all);
+  return counts;
+};
+
+// Total unread messages across all of the user's chats
+export const countUnread = async (userId) => {
+  let total = 0;
+  for (const count of (await unreadCountsByChat(userId)).values()) total += count;
+  return total;
+};
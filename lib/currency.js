@@ -0,0 +1,86 @@
+import prisma from "./prisma.js";
+
+// Every post also stores its price in the base currency (Post.basePrice), which is what
+// price filters and sorting use. Rates are kept in the ExchangeRate collection as
+// "base currency units per one unit of the currency", e.g. { currency: "USD", rate: 1550 } for NGN.
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || "NGN").toUpperCase();
+
+const CACHE_TTL = 5 * 60 * 1000;
+
+let cachedRates = null;
+let cachedAt = 0;
+
+// Map of currency -> rate, always including the base currency itself.
+// Cached briefly so every request does not hit the database; setRates clears the cache.
+export const getRates = async () => {
+  if (!cachedRates || Date.now() - cachedAt > CACHE_TTL) {
+    const rows = await prisma.exchangeRate.findMany();
+    cachedRates = new Map(rows.map((row) => [row.currency, row.rate]));
+    cachedRates.set(BASE_CURRENCY, 1);
+    cachedAt = Date.now();
+  }
+  return cachedRates;
+};
+
+// Converts between currencies; null when either has no rate
+export const convert = (amount, from, to, rates) => {
+  if (!rates.has(from) || !rates.has(to)) return null;
+  return Math.round((amount * rates.get(from)) / rates.get(to));
+};
+
+export const toBase = (amount, currency, rates) => convert(amount, currency, BASE_CURRENCY, rates);
+
+// Price text such as "1,500,000 NGN"
+export const formatAmount = (amount, currency) => `${amount.toLocaleString()} ${currency}`;
+
+// Adds displayPrice/displayCurrency for clients that asked for prices in another currency
+export const withDisplayPrice = (post, displayCurrency, rates) =>
+  displayCurrency
+    ? { ...post, displayPrice: convert(post.price, post.currency, displayCurrency, rates), displayCurrency }
+    : post;
+
+// Recomputes basePrice for every post in the given currencies (all of them by default)
+export const normalizePosts = async (currencies) => {
+  const rates = await getRates();
+  let updated = 0;
+
+  for (const currency of currencies ?? [...rates.keys()]) {
+    const result = await prisma.$runCommandRaw({
+      update: "Post",
+      updates: [
+        {
+          q: { currency },
+          u: [{ $set: { basePrice: { $toDouble: { $round: [{ $multiply: ["$price", rates.get(currency)] }, 0] } } } }],
+          multi: true,
+        },
+      ],
+    });
+    updated += result.nModified;
+  }
+
+  return updated;
+};
+
+// Stores new rates ({ USD: 1550, ... }) and re-normalizes the posts priced in them.
+// Returns { rates, normalized } or { status, message }.
+export const setRates = async (rates, { updatedById = null } = {}) => {
+  if (rates[BASE_CURRENCY] !== undefined) {
+    return { status: 400, message: `${BASE_CURRENCY} is the base currency and always has a rate of 1!` };
+  }
+
+  const currencies = Object.keys(rates);
+  await prisma.$transaction(
+    currencies.map((currency) =>
+      prisma.exchangeRate.upsert({
+        where: { currency },
+        create: { currency, rate: rates[currency], updatedById },
+        update: { rate: rates[currency], updatedById },
+      })
+    )
+  );
+
+  cachedRates = null;
+  const normalized = await normalizePosts(currencies);
+
+  return { rates: Object.fromEntries(await getRates()), normalized };
+};
@@ -0,0 +1,223 @@
+// Rule-based version of the assistant's field extraction, covering the patterns its LLM prompt
+// describes: Nigerian cities and areas, property synonyms, "2m"/"500k" prices, under/between/above
+// ranges and buy/rent verbs. It needs no network, so it answers when every LLM provider is down,
+// and messages it fully understands don't need the model at all.
+// Checked against data/extraction-corpus.json by `npm run check:extraction`.
+
+// Areas before cities, so "Maitama Abuja" is searched as Maitama
+const AREAS = {
+  lekki: "Lekki",
+  "victoria island": "Victoria Island",
+  vi: "Victoria Island",
+  ikoyi: "Ikoyi",
+  ajah: "Ajah",
+  surulere: "Surulere",
+  yaba: "Yaba",
+  ikeja: "Ikeja",
+  magodo: "Magodo",
+  gbagada: "Gbagada",
+  ojodu: "Ojodu",
+  ikorodu: "Ikorodu",
+  badagry: "Badagry",
+  sangotedo: "Sangotedo",
+  maitama: "Maitama",
+  wuse: "Wuse",
+  asokoro: "Asokoro",
+  gwarinpa: "Gwarinpa",
+  jabi: "Jabi",
+  garki: "Garki",
+  apo: "Apo",
+  kubwa: "Kubwa",
+  "life camp": "Life Camp",
+  katampe: "Katampe",
+  "old gra": "Old GRA",
+  gra: "GRA",
+  "trans amadi": "Trans Amadi",
+  rumuola: "Rumuola",
+};
+
+const CITIES = {
+  lagos: "Lagos",
+  abuja: "Abuja",
+  "port harcourt": "Port Harcourt",
+  ph: "Port Harcourt",
+  ibadan: "Ibadan",
+  kano: "Kano",
+  enugu: "Enugu",
+  "benin city": "Benin City",
+  benin: "Benin City",
+  warri: "Warri",
+  owerri: "Owerri",
+  uyo: "Uyo",
+  kaduna: "Kaduna",
+  jos: "Jos",
+};
+
+const PROPERTY_TYPES = {
+  "mini flat": "apartment",
+  "self contained": "apartment",
+  "self-contained": "apartment",
+  "self con": "apartment",
+  "self-con": "apartment",
+  selfcon: "apartment",
+  studio: "apartment",
+  condo: "apartment",
+  flat: "apartment",
+  flats: "apartment",
+  apartment: "apartment",
+  apartments: "apartment",
+  "semi-detached": "house",
+  "semi detached": "house",
+  detached: "house",
+  duplex: "house",
+  bungalow: "house",
+  terrace: "house",
+  mansion: "house",
+  house: "house",
+  houses: "house",
+  land: "land",
+  plot: "land",
+  plots: "land",
+  "commercial space": "commercial",
+  commercial: "commercial",
+  office: "commercial",
+  shop: "commercial",
+  warehouse: "commercial",
+};
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+const UNITS = { k: 1e3, thousand: 1e3, m: 1e6, mil: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+
+const RENT = /\b(rent|rental|renting|to let|for let|lease|leasing|tenant)\b/;
+const BUY = /\b(buy|buying|purchase|purchasing|for sale|sale|acquire|to own)\b/;
+
+const SEARCH_WORDS = /\b(find|show|search|searching|looking|look|want|need|get|see|available|list|got|any|else|more)\b/;
+const QUESTION = /^(what|how|why|which|is|are|should|can|could|do|does|when|where|who)\b|\?$/;
+
+// "not in Lagos", "no duplex" or "anywhere except Lekki" flip what the matched words mean
+const NEGATION = /\b(not|no|never|except|excluding|without|but|avoid|(?:don|doesn|isn|aren|won|can)['’]?t)\b/;
+
+// Words that carry no search information; anything else left over is handed to the LLM
+const FILLER = new Set(
+  (
+    "i im i'm we a an the in at on around near for to me my us our with of and or is are be it this that " +
+    "some any please pls kindly find show search searching looking look want wanting need get see available " +
+    "list got more else what something somewhere place places property properties one ones also just " +
+    "budget price priced cost costs about roughly around max maximum min minimum under below above over from " +
+    "between than less up at most least within starting naira ngn bed beds bedroom bedrooms " +
+    "hi hello hey good morning afternoon evening thanks thank you yo there can could would like " +
+    "rent rental renting let lease leasing tenant buy buying purchase purchasing sale acquire own"
+  ).split(" ")
+);
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longest names first so "old gra" wins over "gra" and "mini flat" over "flat"
+const namePattern = (names) =>
+  new RegExp(`\\b(${Object.keys(names).sort((a, b) => b.length - a.length).map(escape).join("|")})\\b`, "g");
+
+const AREA_PATTERN = namePattern(AREAS);
+const CITY_PATTERN = namePattern(CITIES);
+const PROPERTY_PATTERN = namePattern(PROPERTY_TYPES);
+
+const AMOUNT = String.raw`(?:₦\s*|ngn\s*|n(?=\d))?(\d+(?:\.\d+)?)\s*(k|thousand|million|mil|m|billion|b)?\b`;
+
+const amount = (number, unit) => Math.round(parseFloat(number) * (unit ? UNITS[unit] : 1));
+
+// A bare number is only a price when it is big enough not to be a bedroom count or a year
+const looksLikePrice = (number, unit, text) => !!unit || /₦|ngn|n\d/.test(text) || parseFloat(number) >= 10000;
+
+const PRICE_RULES = [
+  // "between 2m and 5m", "2 to 5 million", "500k - 1m"; a unit on either side applies to both
+  {
+    pattern: new RegExp(String.raw`(?:\bbetween\s+)?${AMOUNT}\s*(?:and|to|-|–)\s*${AMOUNT}`),
+    range: ([, n1, u1, n2, u2]) => ({ min: amount(n1, u1 ?? u2), max: amount(n2, u2 ?? u1) }),
+    isPrice: ([match, n1, u1, n2, u2]) => looksLikePrice(n1, u1 ?? u2, match) && looksLikePrice(n2, u2 ?? u1, match),
+  },
+  {
+    pattern: new RegExp(
+      String.raw`\b(?:under|below|max(?:imum)?|less than|not more than|not above|at most|up to|within)\s+${AMOUNT}`
+    ),
+    range: ([, number, unit]) => ({ min: 0, max: amount(number, unit) }),
+  },
+  {
+    pattern: new RegExp(String.raw`\b(?:above|from|over|more than|at least|min(?:imum)?|starting (?:from|at))\s+${AMOUNT}`),
+    range: ([, number, unit]) => ({ min: amount(number, unit), max: null }),
+  },
+  // "budget around 80 million", "price 2m", or just an amount: treated as the most the user will pay
+  {
+    pattern: new RegExp(AMOUNT),
+    range: ([, number, unit]) => ({ min: 0, max: amount(number, unit) }),
+    isPrice: ([match, number, unit]) => looksLikePrice(number, unit, match),
+  },
+];
+
+// Returns { fields, resolved }. `fields` has the same shape as the LLM extraction; `resolved` is false
+// when the message has words the rules don't understand, e.g. an unknown area, or a negation, so the
+// LLM should look too.
+export const extractWithRules = (message) => {
+  // Matched parts are blanked out, so whatever is left over shows what the rules did not understand
+  let text = ` ${message.toLowerCase().replace(/(\d),(?=\d{3}\b)/g, "$1").trim()} `;
+  const consume = (match) => {
+    text = text.replace(match, " ".repeat(match.length));
+  };
+
+  const original = text;
+
+  const bedroomMatch = text.match(/\b(\d+|one|two|three|four|five|six|seven)\s*\+?\s*-?\s*(?:bed(?:room)?s?|br|bdrm?s?)\b/);
+  const bedrooms = bedroomMatch ? (NUMBER_WORDS[bedroomMatch[1]] ?? parseInt(bedroomMatch[1])) : null;
+  if (bedroomMatch) consume(bedroomMatch[0]);
+
+  let priceRange = null;
+  for (const rule of PRICE_RULES) {
+    const match = text.match(rule.pattern);
+    if (match && (!rule.isPrice || rule.isPrice(match))) {
+      priceRange = rule.range(match);
+      consume(match[0]);
+      break;
+    }
+  }
+
+  const areas = [...text.matchAll(AREA_PATTERN)];
+  const cities = [...text.matchAll(CITY_PATTERN)];
+  const location = areas.length > 0 ? AREAS[areas[0][1]] : cities.length > 0 ? CITIES[cities[0][1]] : null;
+  for (const match of [...areas, ...cities]) consume(match[0]);
+
+  const properties = [...text.matchAll(PROPERTY_PATTERN)];
+  const propertyType = properties.length > 0 ? PROPERTY_TYPES[properties[0][1]] : null;
+  for (const match of properties) consume(match[0]);
+
+  const rent = RENT.test(original);
+  const buy = BUY.test(original);
+  // "rent or buy" leaves the choice open
+  const action = rent && !buy ? "rent" : buy && !rent ? "buy" : null;
+
+  const hasField = !!(location || action || propertyType || bedrooms || priceRange);
+  const isSearchIntent = SEARCH_WORDS.test(original) || (hasField && !QUESTION.test(original.trim()));
+
+  // Stray numbers count too: in "2 to 3 bedrooms" only the 3 was understood
+  const leftover = (text.match(/[a-z0-9][a-z0-9'-]*/g) ?? []).filter(
+    (word) => /\d/.test(word) || (word.length > 1 && !FILLER.has(word))
+  );
+
+  // A negation or competing locations or property types leave it to the LLM to tell which one is meant,
+  // so those fields are dropped rather than guessed. The negation check runs on what is left, so the
+  // "not" of "not more than 2m" doesn't count.
+  const negated = NEGATION.test(text);
+  const distinct = (matches, names) => new Set(matches.map((match) => names[match[1]])).size;
+  const locationUnclear = negated || distinct(areas, AREAS) > 1 || distinct(cities, CITIES) > 1;
+  const propertyTypeUnclear = negated || distinct(properties, PROPERTY_TYPES) > 1;
+
+  return {
+    fields: {
+      location: locationUnclear ? null : location,
+      action: negated ? null : action,
+      propertyType: propertyTypeUnclear ? null : propertyType,
+      bedrooms,
+      priceRange,
+      isSearchIntent,
+    },
+    resolved: leftover.length === 0 && !locationUnclear && !propertyTypeUnclear,
+  };
+};
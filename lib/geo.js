@@ -0,0 +1,121 @@
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 500;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+const parseCoordinate = (value, limit) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) return NaN;
+  return number;
+};
+
+const parseLatitude = (value) => parseCoordinate(value, 90);
+const parseLongitude = (value) => parseCoordinate(value, 180);
+
+// Great-circle distance between two points in kilometres (haversine formula)
+export const haversineKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Smallest lat/lng box that fully contains the circle, used to pre-filter in the database
+const boundsForRadius = ({ lat, lng }, radiusKm) => {
+  const latDelta = radiusKm / 111.32;
+  const south = Math.max(-90, lat - latDelta);
+  const north = Math.min(90, lat + latDelta);
+
+  // Near the poles the circle covers every longitude
+  const cosLat = Math.cos(toRadians(lat));
+  if (north === 90 || south === -90 || cosLat < 1e-6) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  const lngDelta = Math.min(180, radiusKm / (111.32 * cosLat));
+  let west = lng - lngDelta;
+  let east = lng + lngDelta;
+  if (west < -180) west += 360;
+  if (east > 180) east -= 360;
+  return { north, south, east, west };
+};
+
+// Reads the lat/lng/radiusKm and north/south/east/west query params.
+// Returns null when the request has no geo filter, or { error } when it is malformed.
+export const parseGeoQuery = (query) => {
+  const lat = parseLatitude(query.lat);
+  const lng = parseLongitude(query.lng);
+  const north = parseLatitude(query.north);
+  const south = parseLatitude(query.south);
+  const east = parseLongitude(query.east);
+  const west = parseLongitude(query.west);
+
+  const hasPoint = lat !== null || lng !== null;
+  const hasBounds = [north, south, east, west].some((v) => v !== null);
+
+  if (!hasPoint && !hasBounds) return null;
+
+  let center = null;
+  if (hasPoint) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return { error: "lat and lng must both be valid coordinates!" };
+    }
+    center = { lat, lng };
+  }
+
+  if (hasBounds) {
+    if (![north, south, east, west].every(Number.isFinite)) {
+      return { error: "north, south, east and west must all be valid coordinates!" };
+    }
+    if (south > north) {
+      return { error: "south must not be greater than north!" };
+    }
+
+    const bounds = { north, south, east, west };
+    // Viewport searches are ranked by distance from the centre of the map unless a point is given
+    if (!center) {
+      const crossesAntimeridian = west > east;
+      let centerLng = crossesAntimeridian ? (west + east + 360) / 2 : (west + east) / 2;
+      if (centerLng > 180) centerLng -= 360;
+      center = { lat: (north + south) / 2, lng: centerLng };
+    }
+    return { center, bounds, radiusKm: null };
+  }
+
+  const radiusKm = query.radiusKm === undefined ? 10 : parseFloat(query.radiusKm);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}!` };
+  }
+
+  return { center, bounds: boundsForRadius(center, radiusKm), radiusKm };
+};
+
+// Prisma where clause restricting posts to the area's bounding box
+export const geoWhere = ({ bounds }) => {
+  const latitude = { gte: bounds.south, lte: bounds.north };
+
+  if (bounds.west === -180 && bounds.east === 180) return { latitude };
+
+  if (bounds.west <= bounds.east) {
+    return { latitude, longitude: { gte: bounds.west, lte: bounds.east } };
+  }
+
+  // Box crosses the antimeridian, so longitude wraps around
+  return {
+    latitude,
+    OR: [{ longitude: { gte: bounds.west } }, { longitude: { lte: bounds.east } }],
+  };
+};
+
+// Adds a `distance` (km) to each post, drops those outside the radius and sorts nearest first
+export const withDistance = (posts, { center, radiusKm }) =>
+  posts
+    .map((post) => {
+      const distance = haversineKm(center, { lat: post.latitude, lng: post.longitude });
+      return { ...post, distance: Math.round(distance * 100) / 100 };
+    })
+    .filter((post) => radiusKm === null || post.distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance);
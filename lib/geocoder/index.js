@@ -0,0 +1,27 @@
+import { nominatimGeocoder } from "./nominatim.geocoder.js";
+import { localGeocoder } from "./local.geocoder.js";
+
+// A geocoder is an object with
+//   reverse({ lat, lng }) => Promise<{ city, state, country, countryCode } | null>
+//   forward(address) => Promise<{ lat, lng, city, state, country, countryCode } | null>
+// Both resolve to null when nothing is found and reject when the lookup itself failed.
+// GEOCODER picks one by name; other providers plug in through registerGeocoder.
+const geocoders = {
+  nominatim: nominatimGeocoder,
+  local: localGeocoder,
+};
+
+export const registerGeocoder = (name, geocoder) => {
+  if (typeof geocoder?.reverse !== "function" || typeof geocoder?.forward !== "function") {
+    throw new Error(`Geocoder "${name}" must have reverse() and forward() functions`);
+  }
+  geocoders[name] = geocoder;
+};
+
+export const getGeocoder = () => {
+  const name = process.env.GEOCODER || "nominatim";
+  const geocoder = geocoders[name];
+
+  if (!geocoder) throw new Error(`Unknown geocoder "${name}"`);
+  return geocoder;
+};
@@ -0,0 +1,51 @@
+import { haversineKm } from "../geo.js";
+
+// Offline stand-in for development and tests (GEOCODER=local): a small table of places
+// instead of a network service. Reverse lookups return the nearest place within MAX_DISTANCE_KM.
+const MAX_DISTANCE_KM = 50;
+
+const PLACES = [
+  { city: "Lagos", state: "Lagos", lat: 6.4541, lng: 3.3947 },
+  { city: "Ikeja", state: "Lagos", lat: 6.6018, lng: 3.3515 },
+  { city: "Lekki", state: "Lagos", lat: 6.4698, lng: 3.5852 },
+  { city: "Victoria Island", state: "Lagos", lat: 6.4281, lng: 3.4219 },
+  { city: "Ikoyi", state: "Lagos", lat: 6.4549, lng: 3.4346 },
+  { city: "Yaba", state: "Lagos", lat: 6.5095, lng: 3.3711 },
+  { city: "Surulere", state: "Lagos", lat: 6.5005, lng: 3.3534 },
+  { city: "Ajah", state: "Lagos", lat: 6.4667, lng: 3.5667 },
+  { city: "Abuja", state: "Federal Capital Territory", lat: 9.0765, lng: 7.3986 },
+  { city: "Maitama", state: "Federal Capital Territory", lat: 9.0882, lng: 7.4934 },
+  { city: "Wuse", state: "Federal Capital Territory", lat: 9.0667, lng: 7.4667 },
+  { city: "Gwarinpa", state: "Federal Capital Territory", lat: 9.1099, lng: 7.4042 },
+  { city: "Port Harcourt", state: "Rivers", lat: 4.8156, lng: 7.0498 },
+  { city: "Ibadan", state: "Oyo", lat: 7.3775, lng: 3.947 },
+  { city: "Kano", state: "Kano", lat: 12.0022, lng: 8.592 },
+  { city: "Enugu", state: "Enugu", lat: 6.4584, lng: 7.5464 },
+  { city: "Benin City", state: "Edo", lat: 6.335, lng: 5.6037 },
+].map((place) => ({ ...place, country: "Nigeria", countryCode: "NG" }));
+
+const toLocation = ({ city, state, country, countryCode }) => ({ city, state, country, countryCode });
+
+export const localGeocoder = {
+  reverse: async (point) => {
+    let nearest = null;
+    let nearestKm = Infinity;
+    for (const place of PLACES) {
+      const km = haversineKm(point, place);
+      if (km < nearestKm) {
+        nearest = place;
+        nearestKm = km;
+      }
+    }
+    return nearestKm <= MAX_DISTANCE_KM ? toLocation(nearest) : null;
+  },
+
+  // Most specific (longest) place name mentioned in the address
+  forward: async (address) => {
+    const text = address.toLowerCase();
+    const place = PLACES.filter((candidate) => text.includes(candidate.city.toLowerCase())).sort(
+      (a, b) => b.city.length - a.city.length
+    )[0];
+    return place ? { lat: place.lat, lng: place.lng, ...toLocation(place) } : null;
+  },
+};
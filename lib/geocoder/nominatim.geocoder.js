@@ -0,0 +1,50 @@
+import axios from "axios";
+
+const baseUrl = () => process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org";
+
+// Nominatim's usage policy allows at most one request per second, so lookups are queued
+const MIN_INTERVAL_MS = 1000;
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+
+const throttled = (request) => {
+  const next = queue.then(async () => {
+    const wait = lastRequestAt + MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+    return request();
+  });
+  queue = next.catch(() => {});
+  return next;
+};
+
+const get = (path, params) =>
+  throttled(() =>
+    axios.get(`${baseUrl()}${path}`, {
+      params: { format: "json", addressdetails: 1, ...params },
+      headers: { "User-Agent": "PrimeNest-App" },
+      timeout: 5000,
+    })
+  );
+
+const toLocation = (address = {}) => ({
+  city: address.city || address.town || address.village || address.suburb || null,
+  state: address.state || null,
+  country: address.country || null,
+  countryCode: address.country_code?.toUpperCase() || null,
+});
+
+// OpenStreetMap's public geocoder
+export const nominatimGeocoder = {
+  reverse: async ({ lat, lng }) => {
+    const { data } = await get("/reverse", { lat, lon: lng, zoom: 10 });
+    return data?.address ? toLocation(data.address) : null;
+  },
+
+  forward: async (address) => {
+    const { data } = await get("/search", { q: address, limit: 1 });
+    const [place] = data ?? [];
+    if (!place) return null;
+    return { lat: parseFloat(place.lat), lng: parseFloat(place.lon), ...toLocation(place.address) };
+  },
+};
@@ -0,0 +1,94 @@
+import prisma from "./prisma.js";
+import { getGeocoder } from "./geocoder/index.js";
+
+// Geocoder results are cached in the database: reverse lookups per ~110 m cell
+// (coordinates rounded to 3 decimals), forward lookups per normalized address.
+// "Nothing found" is cached too; failed lookups are not.
+
+const reverseKey = ({ lat, lng }) => `reverse:${lat.toFixed(3)},${lng.toFixed(3)}`;
+const forwardKey = (address) => `forward:${address.trim().toLowerCase().replace(/\s+/g, " ")}`;
+
+const cached = async (key, lookup) => {
+  const hit = await prisma.geocodeCache.findUnique({ where: { key } });
+  if (hit) return hit.found ? hit.result : null;
+
+  const result = await lookup();
+  const data = { found: !!result, ...(result && { result }) };
+  await prisma.geocodeCache.upsert({
+    where: { key },
+    create: { key, ...data },
+    update: data,
+  });
+  return result;
+};
+
+export const reverseGeocode = (point) => cached(reverseKey(point), () => getGeocoder().reverse(point));
+
+export const forwardGeocode = (address) => cached(forwardKey(address), () => getGeocoder().forward(address));
+
+// Same as the lookups above, but a geocoder outage only costs the location details, not the listing
+const quietly = (lookup) =>
+  lookup.catch((err) => {
+    console.log("Geocoding failed:", err.message);
+    return null;
+  });
+
+// Completes a listing's location: coordinates from the address when none were given, then
+// state and country (and the city, when left empty) from the coordinates.
+// Returns { latitude, longitude, city, state, country } or { status, message }: 400 for an address
+// that can't be found, 503 when the geocoder itself is down and no coordinates were given.
+export const locateListing = async ({ address, city, latitude, longitude }) => {
+  if ((latitude == null) !== (longitude == null)) {
+    return { status: 400, message: "latitude and longitude must be given together!" };
+  }
+
+  let point = latitude != null ? { lat: latitude, lng: longitude } : null;
+  let place = null;
+
+  if (!point) {
+    try {
+      place = await forwardGeocode([address, city].filter(Boolean).join(", "));
+    } catch (err) {
+      console.log("Geocoding failed:", err.message);
+      return { status: 503, message: "Address lookup is unavailable, please set the location on the map!" };
+    }
+    if (!place) {
+      return { status: 400, message: "Could not find this address, please set the location on the map!" };
+    }
+    point = { lat: place.lat, lng: place.lng };
+  }
+
+  const location = (await quietly(reverseGeocode(point))) ?? place;
+
+  return {
+    latitude: point.lat,
+    longitude: point.lng,
+    city: city || location?.city || null,
+    state: location?.state ?? null,
+    country: location?.country ?? null,
+  };
+};
+
+// Location fields to update when an edit moves a listing: new coordinates are reverse geocoded,
+// a new address without coordinates is geocoded to move the pin. Empty when nothing moved.
+// A moved pin also takes the city it landed in, unless the edit names one.
+export const relocateListing = async (post, changes) => {
+  const latitude = changes.latitude ?? post.latitude;
+  const longitude = changes.longitude ?? post.longitude;
+  const moved = latitude !== post.latitude || longitude !== post.longitude;
+  const readdressed =
+    changes.address !== undefined && changes.address !== post.address && changes.latitude === undefined;
+
+  if (!moved && !readdressed) return {};
+
+  const located = await locateListing({
+    address: changes.address ?? post.address,
+    city: changes.city ?? (moved ? undefined : post.city),
+    ...(moved && { latitude, longitude }),
+  });
+  // An address the geocoder can't find, or can't look up right now, keeps the old pin
+  if (located.status) return {};
+
+  const { city, ...fields } = located;
+  return city ? { ...fields, city } : fields;
+};
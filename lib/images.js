@@ -0,0 +1,37 @@
+import sharp from "sharp";
+
+export const ALLOWED_IMAGE_FORMATS = ["jpeg", "png", "webp"];
+
+const VARIANTS = {
+  thumbnail: 320,
+  medium: 960,
+  full: 1920,
+};
+
+// Decodes the upload (rejecting anything that is not really an image in an allowed format) and
+// re-encodes it into the size variants. Orientation is applied first; the re-encode drops all
+// metadata, including EXIF GPS coordinates. Returns { variants: { name: Buffer }, width, height } or { error }.
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return { error: "is not a valid image" };
+  }
+
+  if (!ALLOWED_IMAGE_FORMATS.includes(metadata.format)) {
+    return { error: `must be one of: ${ALLOWED_IMAGE_FORMATS.join(", ")}` };
+  }
+
+  const variants = {};
+  for (const [name, size] of Object.entries(VARIANTS)) {
+    variants[name] = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  const { width, height } = await sharp(variants.full).metadata();
+  return { variants, width, height };
+};
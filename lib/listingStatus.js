@@ -0,0 +1,138 @@
+import prisma from "./prisma.js";
+import { createNotificationsQuietly } from "./notifications.js";
+import { notifySavedSearchMatchesQuietly } from "./savedSearches.js";
+
+// Listing lifecycle:
+//   draft -> (pending_review ->) active <-> under_offer -> sold / rented
+//   active / under_offer -> expired after LISTING_TTL_DAYS, back to active when renewed
+//   any -> delisted -> active through moderation (lib/moderation.js)
+
+// Shown in search results
+export const SEARCHABLE_STATUSES = ["active", "under_offer"];
+
+// Anyone with the link can open these; the rest only their owner and staff
+export const PUBLIC_STATUSES = ["active", "under_offer", "sold", "rented", "expired"];
+
+// Statuses an owner can ask for on PUT /api/posts/:id/status
+export const OWNER_STATUSES = ["draft", "active", "under_offer", "sold", "rented"];
+
+const OWNER_TRANSITIONS = {
+  draft: ["active"],
+  pending_review: ["draft"],
+  active: ["draft", "under_offer", "sold", "rented"],
+  under_offer: ["active", "sold", "rented"],
+  // A sale or let that falls through puts the listing back on the market
+  sold: ["active"],
+  rented: ["active"],
+  expired: [],
+  delisted: [],
+};
+
+const LISTING_TTL_DAYS = parseInt(process.env.LISTING_TTL_DAYS) || 90;
+
+export const requiresApproval = () => process.env.REQUIRE_LISTING_APPROVAL === "true";
+
+export const expiryDate = () => new Date(Date.now() + LISTING_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Status a newly created listing starts in
+export const initialStatus = (draft) => {
+  if (draft) return "draft";
+  return requiresApproval() ? "pending_review" : "active";
+};
+
+// Post fields for moving into `to`, including the timestamped history entry.
+// Going live starts a fresh expiry period.
+export const statusChangeData = (post, to, { actorId = null, reason = null } = {}) => ({
+  status: to,
+  statusChangedAt: new Date(),
+  ...(to === "active" && post.status !== "under_offer" && { expiresAt: expiryDate() }),
+  ...(to === "active" && !post.publishedAt && { publishedAt: new Date() }),
+  statusChanges: { create: { from: post.status ?? null, to, actorId, reason } },
+});
+
+// Fields for a listing being created in `status`
+export const initialStatusData = (status) => ({
+  status,
+  statusChangedAt: new Date(),
+  ...(status === "active" && { expiresAt: expiryDate(), publishedAt: new Date() }),
+  statusChanges: { create: { from: null, to: status } },
+});
+
+// Owner-requested status change: { post } or { status, message }
+export const changeStatus = async (post, requested, actorId) => {
+  if (!OWNER_TRANSITIONS[post.status].includes(requested)) {
+    return { status: 409, message: `A listing that is ${post.status} can't be changed to ${requested}!` };
+  }
+  if (requested === "sold" && post.type !== "buy") {
+    return { status: 400, message: "Only listings for sale can be marked as sold!" };
+  }
+  if (requested === "rented" && post.type !== "rent") {
+    return { status: 400, message: "Only listings for rent can be marked as rented!" };
+  }
+
+  // Publishing a draft may need a moderator's approval first
+  const to = post.status === "draft" && requested === "active" && requiresApproval() ? "pending_review" : requested;
+
+  const updatedPost = await prisma.post.update({
+    where: { id: post.id },
+    data: statusChangeData(post, to, { actorId }),
+  });
+
+  notifySavedSearchMatchesQuietly(updatedPost, post);
+
+  return { post: updatedPost };
+};
+
+// Starts a new listing period; expired listings go live again
+export const renewPost = async (post, actorId) => {
+  if (!["active", "under_offer", "expired"].includes(post.status)) {
+    return { status: 409, message: `A listing that is ${post.status} can't be renewed!` };
+  }
+
+  const updatedPost = await prisma.post.update({
+    where: { id: post.id },
+    data:
+      post.status === "expired"
+        ? statusChangeData(post, "active", { actorId, reason: "Renewed" })
+        : { expiresAt: expiryDate() },
+  });
+
+  if (post.status === "expired") notifySavedSearchMatchesQuietly(updatedPost, post);
+
+  return { post: updatedPost };
+};
+
+// Moves every live listing past its expiry date to "expired" and tells the owners.
+// Listings published before expiry existed have no expiresAt and are left alone.
+export const expireListings = async () => {
+  const posts = await prisma.post.findMany({
+    where: { status: { in: SEARCHABLE_STATUSES }, expiresAt: { lte: new Date() } },
+  });
+
+  for (const post of posts) {
+    await prisma.post.update({
+      where: { id: post.id },
+      data: statusChangeData(post, "expired", { reason: "Listing period ended" }),
+    });
+  }
+
+  await createNotificationsQuietly(
+    posts.map((post) => ({
+      userId: post.userId,
+      type: "listing_expired",
+      title: "Your listing has expired",
+      body: `"${post.title}" is no longer shown in search. Renew it to put it back on the market.`,
+      data: { postId: post.id },
+    }))
+  );
+
+  return posts.length;
+};
+
+// Checks for expired listings every hour while the server runs
+export const startExpiryJob = () => {
+  const run = () =>
+    expireListings().catch((err) => console.log("Listing expiry failed:", err));
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+};
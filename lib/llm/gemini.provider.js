@@ -0,0 +1,72 @@
+import { GoogleGenAI } from "@google/genai";
+
+let client = null;
+
+// Gemini takes the system prompt separately and calls the assistant role "model"
+const toGemini = (messages) => ({
+  systemInstruction: messages
+    .filter((message) => message.role === "system")
+    .map((message) => message.content)
+    .join("\n\n") || undefined,
+  contents: messages
+    .filter((message) => message.role !== "system")
+    .map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: [{ text: message.content }],
+    })),
+});
+
+// Also creates the client on first use
+const toRequest = ({ messages, model, temperature, maxTokens, json, tools }) => {
+  client ??= new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  const { systemInstruction, contents } = toGemini(messages);
+  return {
+    model,
+    contents,
+    config: {
+      systemInstruction,
+      temperature,
+      maxOutputTokens: maxTokens,
+      ...(json && { responseMimeType: "application/json" }),
+      ...(tools && {
+        tools: [
+          {
+            functionDeclarations: tools.map(({ name, description, parameters }) => ({
+              name,
+              description,
+              parametersJsonSchema: parameters,
+            })),
+          },
+        ],
+      }),
+    },
+  };
+};
+
+export const geminiProvider = {
+  defaultModel: "gemini-2.0-flash",
+
+  configured: () => !!process.env.GEMINI_API_KEY,
+
+  complete: async (options) => {
+    const request = toRequest(options);
+    const response = await client.models.generateContent(request);
+    return response.text ?? "";
+  },
+
+  callTools: async (options) => {
+    const request = toRequest(options);
+    const response = await client.models.generateContent(request);
+    return {
+      content: response.text ?? "",
+      toolCalls: (response.functionCalls ?? []).map((call) => ({ name: call.name, arguments: call.args ?? {} })),
+    };
+  },
+
+  async *stream(options) {
+    const request = toRequest(options);
+    for await (const chunk of await client.models.generateContentStream(request)) {
+      if (chunk.text) yield chunk.text;
+    }
+  },
+};
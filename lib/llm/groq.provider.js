@@ -0,0 +1,41 @@
+import Groq from "groq-sdk";
+import { fromOpenAIToolCalls, toOpenAITools } from "./toolCalls.js";
+
+let client = null;
+
+const createCompletion = ({ messages, model, temperature, maxTokens, json, tools }, stream = false) => {
+  client ??= new Groq({ apiKey: process.env.GROQ_API_KEY });
+  return client.chat.completions.create({
+    messages,
+    model,
+    temperature,
+    max_tokens: maxTokens,
+    stream,
+    ...(json && { response_format: { type: "json_object" } }),
+    ...(tools && { tools: toOpenAITools(tools), tool_choice: "auto" }),
+  });
+};
+
+export const groqProvider = {
+  defaultModel: "llama-3.1-8b-instant",
+
+  configured: () => !!process.env.GROQ_API_KEY,
+
+  complete: async (request) => {
+    const completion = await createCompletion(request);
+    return completion.choices[0]?.message?.content ?? "";
+  },
+
+  callTools: async (request) => {
+    const completion = await createCompletion(request);
+    const message = completion.choices[0]?.message;
+    return { content: message?.content ?? "", toolCalls: fromOpenAIToolCalls(message?.tool_calls) };
+  },
+
+  async *stream(request) {
+    for await (const chunk of await createCompletion(request, true)) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  },
+};
@@ -0,0 +1,41 @@
+import { InferenceClient } from "@huggingface/inference";
+import { fromOpenAIToolCalls, toOpenAITools } from "./toolCalls.js";
+
+let client = null;
+
+// Not every model behind the inference API supports a JSON response format, so JSON output
+// relies on the prompt; any text the model wraps around the object (e.g. a code fence) is dropped
+export const huggingfaceProvider = {
+  defaultModel: "meta-llama/Llama-3.1-8B-Instruct",
+
+  configured: () => !!process.env.HF_TOKEN,
+
+  complete: async ({ messages, model, temperature, maxTokens, json }) => {
+    client ??= new InferenceClient(process.env.HF_TOKEN);
+    const completion = await client.chatCompletion({ model, messages, temperature, max_tokens: maxTokens });
+    const content = completion.choices[0]?.message?.content ?? "";
+    return json ? (content.match(/\{[\s\S]*\}/)?.[0] ?? content) : content;
+  },
+
+  callTools: async ({ messages, model, temperature, maxTokens, tools }) => {
+    client ??= new InferenceClient(process.env.HF_TOKEN);
+    const completion = await client.chatCompletion({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      tools: toOpenAITools(tools),
+      tool_choice: "auto",
+    });
+    const message = completion.choices[0]?.message;
+    return { content: message?.content ?? "", toolCalls: fromOpenAIToolCalls(message?.tool_calls) };
+  },
+
+  async *stream({ messages, model, temperature, maxTokens }) {
+    client ??= new InferenceClient(process.env.HF_TOKEN);
+    for await (const chunk of client.chatCompletionStream({ model, messages, temperature, max_tokens: maxTokens })) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  },
+};
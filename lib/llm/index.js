@@ -0,0 +1,132 @@
+import { groqProvider } from "./groq.provider.js";
+import { geminiProvider } from "./gemini.provider.js";
+import { huggingfaceProvider } from "./huggingface.provider.js";
+import { scriptedProvider } from "./scripted.provider.js";
+
+// A provider is an object with
+//   complete({ messages, model, temperature, maxTokens, json }) => Promise<string>
+//   defaultModel, optionally stream(request) => AsyncIterable<string> of text chunks,
+//   callTools({ ...request, tools }) => Promise<{ content, toolCalls }> for tool calling,
+//   and configured() => false when it has no credentials.
+// Messages use the OpenAI shape ({ role: "system" | "user" | "assistant", content }).
+// LLM_PROVIDERS lists the providers to try in order, e.g. "groq,gemini"; other ones plug in through registerProvider.
+const providers = {
+  groq: groqProvider,
+  gemini: geminiProvider,
+  huggingface: huggingfaceProvider,
+  scripted: scriptedProvider,
+};
+
+export const registerProvider = (name, provider) => {
+  if (typeof provider?.complete !== "function") {
+    throw new Error(`LLM provider "${name}" must have a complete() function`);
+  }
+  providers[name] = provider;
+};
+
+const providerChain = () => {
+  const names = (process.env.LLM_PROVIDERS || "groq").split(",").map((name) => name.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!providers[name]) throw new Error(`Unknown LLM provider "${name}"`);
+  }
+  return names.filter((name) => providers[name].configured?.() ?? true);
+};
+
+export const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
+  let lastError;
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastError = err;
+      if (i < maxRetries - 1) {
+        await new Promise(resolve => setTimeout(resolve, baseDelay * Math.pow(2, i)));
+      }
+    }
+  }
+  throw lastError;
+};
+
+// Calls `method` on each provider in LLM_PROVIDERS that has it, giving every provider `retries`
+// attempts before moving on to the next; the last error is thrown when all of them fail.
+// `models` picks the model per provider for this call, e.g. { groq: "llama-3.3-70b-versatile" }.
+const withFallback = async (method, { models = {}, retries = 3, retryDelay = 1000, ...request }) => {
+  const chain = providerChain().filter((name) => typeof providers[name][method] === "function");
+  if (chain.length === 0) throw new Error(`No LLM provider is configured for ${method}()`);
+
+  let lastError;
+  for (const name of chain) {
+    const provider = providers[name];
+    const model = models[name] ?? provider.defaultModel;
+    try {
+      return await retryWithBackoff(() => provider[method]({ ...request, model }), retries, retryDelay);
+    } catch (err) {
+      console.log(`LLM provider "${name}" failed:`, err.message);
+      lastError = err;
+    }
+  }
+  throw lastError;
+};
+
+// Runs a chat completion and resolves to the reply text
+export const complete = ({ temperature = 0.7, json = false, ...options }) =>
+  withFallback("complete", { temperature, json, ...options });
+
+// Offers the model `tools` ([{ name, description, parameters }]) and resolves to
+// { content, toolCalls: [{ name, arguments }] }; toolCalls is empty when it answered in text
+export const callTools = ({ temperature = 0.2, ...options }) =>
+  withFallback("callTools", { temperature, ...options });
+
+// Same as complete(), but yields the reply text as it is generated. Providers are retried and
+// fall back only until the first chunk arrives; an error after that is thrown to the caller.
+// Providers without stream() answer in a single chunk.
+export async function* stream({
+  messages,
+  models = {},
+  temperature = 0.7,
+  maxTokens,
+  json = false,
+  retries = 3,
+  retryDelay = 1000,
+}) {
+  const chain = providerChain();
+  if (chain.length === 0) throw new Error("No LLM provider is configured");
+
+  let lastError;
+  for (const name of chain) {
+    const provider = providers[name];
+    const request = { messages, model: models[name] ?? provider.defaultModel, temperature, maxTokens, json };
+
+    let first;
+    try {
+      first = await retryWithBackoff(
+        async () => {
+          const chunks = provider.stream
+            ? provider.stream(request)
+            : (async function* () { yield await provider.complete(request); })();
+          const iterator = chunks[Symbol.asyncIterator]();
+          return { iterator, result: await iterator.next() };
+        },
+        retries,
+        retryDelay
+      );
+    } catch (err) {
+      console.log(`LLM provider "${name}" failed:`, err.message);
+      lastError = err;
+      continue;
+    }
+
+    let { iterator, result } = first;
+    try {
+      while (!result.done) {
+        yield result.value;
+        result = await iterator.next();
+      }
+    } finally {
+      // The caller stopped early, e.g. the client disconnected: close the provider's stream too
+      if (!result.done) await iterator.return?.();
+    }
+    return;
+  }
+  throw lastError;
+}
@@ -0,0 +1,51 @@
+// Pulls one string field out of a JSON object while it is still being streamed, so the
+// text of e.g. { "reply": "..." } can be shown before the rest of the object arrives.
+// push(chunk) returns the newly decoded part of the field's value ("" when there is none yet).
+const ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+export const jsonFieldStream = (field) => {
+  const start = new RegExp(`"${field}"\\s*:\\s*"`);
+  let raw = "";
+  let position = null;
+  let done = false;
+
+  return {
+    push(chunk) {
+      raw += chunk;
+      if (done) return "";
+
+      if (position === null) {
+        const match = start.exec(raw);
+        if (!match) return "";
+        position = match.index + match[0].length;
+      }
+
+      let text = "";
+      while (position < raw.length) {
+        const char = raw[position];
+        if (char === '"') {
+          done = true;
+          break;
+        }
+        if (char !== "\\") {
+          text += char;
+          position++;
+          continue;
+        }
+
+        // Escapes are only decoded once they have fully arrived
+        const escape = raw[position + 1];
+        if (escape === undefined) break;
+        if (escape === "u") {
+          if (position + 6 > raw.length) break;
+          text += String.fromCharCode(parseInt(raw.slice(position + 2, position + 6), 16));
+          position += 6;
+        } else {
+          text += ESCAPES[escape] ?? escape;
+          position += 2;
+        }
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,71 @@
+import fs from "fs";
+
+// Deterministic stand-in for offline development and tests (LLM_PROVIDERS=scripted).
+// Replies come from a script: a JSON array of rules (LLM_SCRIPT, default data/llm-script.example.json)
+// or one set with setScript(). The first rule whose conditions all hold answers:
+//   { "system": "<text in the system prompt>", "user": "<regex on the last user message>", "respond": ... }
+// `respond` is a string or an object (sent back as JSON); "{{message}}" is replaced with the user message.
+// For tool calls (callTools) a rule has "tools": "<regex on the tool names offered>" and responds with
+// { "toolCalls": [{ "name": ..., "arguments": {...} }] }, or with text when no tool should be used.
+// A rule without conditions matches everything. No match at all is an error, except for tool
+// requests, where it means that no tool is called.
+let script = null;
+
+// Every request the provider answered, for checking what the assistant sent
+export const scriptedCalls = [];
+
+export const setScript = (rules) => {
+  script = rules;
+  scriptedCalls.length = 0;
+};
+
+const loadScript = () => {
+  script ??= JSON.parse(fs.readFileSync(process.env.LLM_SCRIPT || "data/llm-script.example.json", "utf8"));
+  return script;
+};
+
+const matches = (rule, system, user, toolNames = "") =>
+  (!rule.system || system.includes(rule.system)) &&
+  (!rule.user || new RegExp(rule.user, "i").test(user)) &&
+  // Rules for tool calls only answer tool requests, and the other rules only the rest
+  (rule.tools ? new RegExp(rule.tools).test(toolNames) : !toolNames);
+
+const lastUserMessage = (messages) => messages.filter((m) => m.role === "user").at(-1)?.content ?? "";
+const systemPrompt = (messages) => messages.filter((m) => m.role === "system").map((m) => m.content).join("\n");
+
+export const scriptedProvider = {
+  defaultModel: "scripted",
+
+  configured: () => true,
+
+  complete: async (request) => {
+    const system = systemPrompt(request.messages);
+    const user = lastUserMessage(request.messages);
+
+    const rule = loadScript().find((candidate) => matches(candidate, system, user));
+    if (!rule) throw new Error(`No scripted response for "${user}"`);
+
+    scriptedCalls.push(request);
+    const response = typeof rule.respond === "string" ? rule.respond : JSON.stringify(rule.respond);
+    return response.replaceAll("{{message}}", user.replace(/["\\]/g, ""));
+  },
+
+  callTools: async (request) => {
+    const system = systemPrompt(request.messages);
+    const user = lastUserMessage(request.messages);
+    const toolNames = request.tools.map((tool) => tool.name).join(",");
+
+    const rule = loadScript().find((candidate) => matches(candidate, system, user, toolNames));
+    if (!rule) return { content: "", toolCalls: [] };
+
+    scriptedCalls.push(request);
+    if (typeof rule.respond === "string") return { content: rule.respond, toolCalls: [] };
+    return { content: rule.respond.content ?? "", toolCalls: rule.respond.toolCalls ?? [] };
+  },
+
+  // Word by word, so streaming clients see several chunks
+  async *stream(request) {
+    const response = await scriptedProvider.complete(request);
+    yield* response.split(/(?<=\s)/);
+  },
+};
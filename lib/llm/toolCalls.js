@@ -0,0 +1,15 @@
+// Tools are described as { name, description, parameters } with a JSON Schema for the parameters;
+// providers return the calls the model made as { name, arguments }.
+
+// Groq and Hugging Face both take tools and return calls in the OpenAI format
+export const toOpenAITools = (tools) => tools.map((tool) => ({ type: "function", function: tool }));
+
+// Arguments arrive as a JSON string, or already parsed from some providers
+export const fromOpenAIToolCalls = (toolCalls = []) =>
+  toolCalls.map((call) => ({
+    name: call.function.name,
+    arguments:
+      typeof call.function.arguments === "string"
+        ? JSON.parse(call.function.arguments || "{}")
+        : call.function.arguments ?? {},
+  }));
@@ -0,0 +1,6 @@
+// Development transport: prints every email to the server log instead of sending it
+export const consoleTransport = {
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+};
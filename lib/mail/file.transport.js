@@ -0,0 +1,14 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Test/local transport: writes each email as a JSON file in MAIL_DIR so it can be inspected
+export const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "primenest-mail");
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  },
+};
@@ -0,0 +1,28 @@
+import { consoleTransport } from "./console.transport.js";
+import { fileTransport } from "./file.transport.js";
+
+// A transport is any object with `send({ to, subject, text, html }) => Promise`.
+// MAIL_TRANSPORT picks one by name; real providers plug in through registerTransport.
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+export const registerTransport = (name, transport) => {
+  if (typeof transport?.send !== "function") {
+    throw new Error(`Mail transport "${name}" must have a send() function`);
+  }
+  transports[name] = transport;
+};
+
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+
+  await transport.send({
+    from: process.env.MAIL_FROM || "PrimeNest <no-reply@primenest.app>",
+    ...message,
+  });
+};
@@ -0,0 +1,26 @@
+const clientUrl = (pathname, token) => {
+  const base = process.env.CLIENT_URL || "https://primenest-client.vercel.app";
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+export const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: "Verify your PrimeNest email",
+  text: `Hi ${user.username},
+
+Please confirm your email address by opening this link:
+${clientUrl("/verify-email", token)}
+
+The link expires in 24 hours. If you did not create a PrimeNest account you can ignore this email.`,
+});
+
+export const passwordResetEmail = (user, token) => ({
+  to: user.email,
+  subject: "Reset your PrimeNest password",
+  text: `Hi ${user.username},
+
+Someone asked to reset the password for your PrimeNest account. To choose a new password, open this link:
+${clientUrl("/reset-password", token)}
+
+The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.`,
+});
@@ -0,0 +1,319 @@
+import prisma from "./prisma.js";
+import { PERMISSIONS, hasPermission } from "./permissions.js";
+import { revokeUserSessions } from "./session.js";
+import { createNotificationsQuietly, notifyPostSavers } from "./notifications.js";
+import { statusChangeData } from "./listingStatus.js";
+import { notifySavedSearchMatchesQuietly } from "./savedSearches.js";
+
+export const MODERATION_ACTIONS = [
+  "delist_post",
+  "relist_post",
+  "ban_user",
+  "unban_user",
+  "assign_role",
+  "dismiss_reports",
+  "approve_post",
+  "reject_post",
+];
+
+export const REPORT_RESOLUTIONS = ["dismiss", "delist_post", "ban_owner"];
+
+// What reporters are told about each resolution; the moderator's reason stays internal
+const REPORT_OUTCOMES = {
+  dismiss: "We reviewed the listing you reported and found no violation.",
+  delist_post: "Thanks for your report. The listing has been removed.",
+  ban_owner: "Thanks for your report. The listing owner has been banned.",
+};
+
+// Each moderation change and its audit entry are written together so the log never misses an action.
+// These helpers return { post } / { user } on success or { status, message } when the action is refused.
+
+const logEntry = (actor, action, reason, target) =>
+  prisma.moderationLog.create({
+    data: {
+      actorId: actor.id,
+      actorUsername: actor.username,
+      action,
+      reason,
+      ...target,
+    },
+  });
+
+export const delistPost = async (actor, postId, reason) => {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return { status: 404, message: "Post not found!" };
+  if (post.status === "delisted") return { status: 409, message: "Post is already delisted!" };
+
+  const [updatedPost] = await prisma.$transaction([
+    prisma.post.update({
+      where: { id: postId },
+      data: {
+        ...statusChangeData(post, "delisted", { actorId: actor.id, reason }),
+        delistedBy: actor.id,
+        delistReason: reason,
+        delistedAt: new Date(),
+      },
+    }),
+    logEntry(actor, "delist_post", reason, { targetPostId: postId, targetUserId: post.userId }),
+  ]);
+
+  await createNotificationsQuietly([
+    {
+      userId: post.userId,
+      type: "listing_delisted",
+      title: "Your listing was delisted",
+      body: `"${post.title}" was delisted by a moderator: ${reason}`,
+      data: { postId },
+    },
+  ]);
+  await notifyPostSavers(post, {
+    type: "saved_post_delisted",
+    title: "A saved listing is no longer available",
+    body: `"${post.title}" has been delisted.`,
+    data: { postId },
+  });
+
+  return { post: updatedPost };
+};
+
+export const relistPost = async (actor, postId, reason) => {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return { status: 404, message: "Post not found!" };
+  if (post.status !== "delisted") return { status: 409, message: "Post is not delisted!" };
+
+  const [updatedPost] = await prisma.$transaction([
+    prisma.post.update({
+      where: { id: postId },
+      data: {
+        ...statusChangeData(post, "active", { actorId: actor.id, reason }),
+        delistedBy: null,
+        delistReason: null,
+        delistedAt: null,
+      },
+    }),
+    logEntry(actor, "relist_post", reason, { targetPostId: postId, targetUserId: post.userId }),
+  ]);
+
+  await createNotificationsQuietly([
+    {
+      userId: post.userId,
+      type: "listing_relisted",
+      title: "Your listing is live again",
+      body: `"${post.title}" was relisted by a moderator: ${reason}`,
+      data: { postId },
+    },
+  ]);
+
+  return { post: updatedPost };
+};
+
+// Publishes a listing that was waiting for review (REQUIRE_LISTING_APPROVAL)
+export const approvePost = async (actor, postId, reason) => {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return { status: 404, message: "Post not found!" };
+  if (post.status !== "pending_review") return { status: 409, message: "Post is not waiting for review!" };
+
+  const [updatedPost] = await prisma.$transaction([
+    prisma.post.update({
+      where: { id: postId },
+      data: statusChangeData(post, "active", { actorId: actor.id, reason }),
+    }),
+    logEntry(actor, "approve_post", reason, { targetPostId: postId, targetUserId: post.userId }),
+  ]);
+
+  await createNotificationsQuietly([
+    {
+      userId: post.userId,
+      type: "listing_approved",
+      title: "Your listing is live",
+      body: `"${post.title}" was approved and is now shown in search.`,
+      data: { postId },
+    },
+  ]);
+  notifySavedSearchMatchesQuietly(updatedPost, post);
+
+  return { post: updatedPost };
+};
+
+// Sends a listing waiting for review back to its owner as a draft
+export const rejectPost = async (actor, postId, reason) => {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return { status: 404, message: "Post not found!" };
+  if (post.status !== "pending_review") return { status: 409, message: "Post is not waiting for review!" };
+
+  const [updatedPost] = await prisma.$transaction([
+    prisma.post.update({
+      where: { id: postId },
+      data: statusChangeData(post, "draft", { actorId: actor.id, reason }),
+    }),
+    logEntry(actor, "reject_post", reason, { targetPostId: postId, targetUserId: post.userId }),
+  ]);
+
+  await createNotificationsQuietly([
+    {
+      userId: post.userId,
+      type: "listing_rejected",
+      title: "Your listing needs changes",
+      body: `"${post.title}" was not approved: ${reason}`,
+      data: { postId },
+    },
+  ]);
+
+  return { post: updatedPost };
+};
+
+// Moderators may not ban or unban other staff; only those who can manage roles can
+const canModerateUser = (actor, target) =>
+  actor.id !== target.id &&
+  (!hasPermission(target, PERMISSIONS.BAN_USERS) || hasPermission(actor, PERMISSIONS.MANAGE_ROLES));
+
+export const banUser = async (actor, userId, reason) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) return { status: 404, message: "User not found!" };
+  if (!canModerateUser(actor, user)) return { status: 403, message: "You cannot ban this user!" };
+  if (user.isBanned) return { status: 409, message: "User is already banned!" };
+
+  const [updatedUser] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        isBanned: true,
+        banReason: reason,
+        bannedAt: new Date(),
+      },
+    }),
+    logEntry(actor, "ban_user", reason, { targetUserId: userId }),
+  ]);
+
+  // Log the banned user out everywhere right away
+  await revokeUserSessions(userId);
+
+  // Banned users can't sign in, so this is there for them if they are ever unbanned
+  await createNotificationsQuietly([
+    {
+      userId,
+      type: "account_banned",
+      title: "Your account was banned",
+      body: reason,
+    },
+  ]);
+
+  return { user: updatedUser };
+};
+
+// A ban placed by someone who can manage roles can only be lifted by someone who can too
+const bannedByRoleManager = async (userId) => {
+  const ban = await prisma.moderationLog.findFirst({
+    where: { action: "ban_user", targetUserId: userId },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!ban) return false;
+
+  const banner = await prisma.user.findUnique({ where: { id: ban.actorId } });
+  return hasPermission(banner, PERMISSIONS.MANAGE_ROLES);
+};
+
+export const unbanUser = async (actor, userId, reason) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) return { status: 404, message: "User not found!" };
+  if (
+    !canModerateUser(actor, user) ||
+    (!hasPermission(actor, PERMISSIONS.MANAGE_ROLES) && (await bannedByRoleManager(userId)))
+  ) {
+    return { status: 403, message: "You cannot unban this user!" };
+  }
+  if (!user.isBanned) return { status: 409, message: "User is not banned!" };
+
+  const [updatedUser] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        isBanned: false,
+        banReason: null,
+        bannedAt: null,
+      },
+    }),
+    logEntry(actor, "unban_user", reason, { targetUserId: userId }),
+  ]);
+
+  await createNotificationsQuietly([
+    {
+      userId,
+      type: "account_unbanned",
+      title: "Your account was restored",
+      body: reason,
+    },
+  ]);
+
+  return { user: updatedUser };
+};
+
+export const assignRole = async (actor, userId, role, reason) => {
+  // Keeps an admin from locking themselves (and possibly everyone) out of role management
+  if (actor.id === userId) return { status: 400, message: "You cannot change your own role!" };
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) return { status: 404, message: "User not found!" };
+
+  const [updatedUser] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { role },
+    }),
+    logEntry(actor, "assign_role", reason, {
+      targetUserId: userId,
+      metadata: { from: user.role, to: role },
+    }),
+  ]);
+
+  return { user: updatedUser };
+};
+
+// Closes every open report on a post, optionally delisting it or banning its owner first
+export const resolveReports = async (actor, postId, resolution, reason) => {
+  const post = await prisma.post.findUnique({ where: { id: postId } });
+  if (!post) return { status: 404, message: "Post not found!" };
+
+  const openReports = { postId, status: "open" };
+  if ((await prisma.report.count({ where: openReports })) === 0) {
+    return { status: 404, message: "No open reports for this post!" };
+  }
+
+  // Someone may already have acted on the post or owner directly; that still resolves the reports
+  if (resolution === "delist_post") {
+    const result = await delistPost(actor, postId, reason);
+    if (result.status && result.status !== 409) return result;
+  } else if (resolution === "ban_owner") {
+    const result = await banUser(actor, post.userId, reason);
+    if (result.status && result.status !== 409) return result;
+  } else {
+    await logEntry(actor, "dismiss_reports", reason, { targetPostId: postId, targetUserId: post.userId });
+  }
+
+  const reporters = await prisma.report.findMany({
+    where: openReports,
+    select: { reporterId: true },
+  });
+
+  const { count } = await prisma.report.updateMany({
+    where: openReports,
+    data: {
+      status: resolution === "dismiss" ? "dismissed" : "resolved",
+      resolution,
+      resolvedById: actor.id,
+      resolvedAt: new Date(),
+    },
+  });
+
+  await createNotificationsQuietly(
+    reporters.map(({ reporterId }) => ({
+      userId: reporterId,
+      type: "report_resolved",
+      title: "Your report was reviewed",
+      body: REPORT_OUTCOMES[resolution],
+      data: { postId, resolution },
+    }))
+  );
+
+  return { resolved: count };
+};
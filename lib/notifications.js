@@ -0,0 +1,99 @@
+import prisma from "./prisma.js";
+import { emitToUsers } from "./realtime.js";
+
+// Notification types by category; users can turn off every category except "account"
+export const NOTIFICATION_CATEGORIES = {
+  messages: ["new_message"],
+  savedSearches: ["saved_search_match"],
+  savedPosts: ["saved_post_price_drop", "saved_post_delisted"],
+  listings: ["listing_delisted", "listing_relisted", "listing_approved", "listing_rejected", "listing_expired"],
+  reports: ["report_resolved"],
+  account: ["account_banned", "account_unbanned"],
+};
+
+export const OPTIONAL_CATEGORIES = ["messages", "savedSearches", "savedPosts", "listings", "reports"];
+
+export const categoryOf = (type) =>
+  Object.keys(NOTIFICATION_CATEGORIES).find((category) => NOTIFICATION_CATEGORIES[category].includes(type));
+
+export const presentNotification = (notification) => ({
+  ...notification,
+  category: categoryOf(notification.type),
+});
+
+// Users who never changed their preferences have no stored value and get everything
+export const preferencesFor = (user) =>
+  Object.fromEntries(
+    OPTIONAL_CATEGORIES.map((category) => [category, user.notificationPreferences?.[category] ?? true])
+  );
+
+const wantsNotification = (user, type) => {
+  const category = categoryOf(type);
+  return !OPTIONAL_CATEGORIES.includes(category) || preferencesFor(user)[category];
+};
+
+// Stores one notification per entry ({ userId, type, title, body?, data?, groupKey? }) the recipient
+// has not opted out of, and pushes each to their open sockets as "notification:new".
+// An entry with a groupKey replaces the recipient's unread notification with the same key.
+export const createNotifications = async (entries) => {
+  if (entries.length === 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: [...new Set(entries.map((entry) => entry.userId))] } },
+    select: { id: true, notificationPreferences: true },
+  });
+  const usersById = new Map(users.map((user) => [user.id, user]));
+
+  const notifications = [];
+  for (const entry of entries) {
+    const user = usersById.get(entry.userId);
+    if (!user || !wantsNotification(user, entry.type)) continue;
+
+    const grouped =
+      entry.groupKey &&
+      (await prisma.notification.findFirst({
+        where: { userId: entry.userId, groupKey: entry.groupKey, readAt: null },
+      }));
+
+    notifications.push(
+      grouped
+        ? await prisma.notification.update({
+            where: { id: grouped.id },
+            data: { ...entry, createdAt: new Date() },
+          })
+        : await prisma.notification.create({
+            // Stored explicitly: on MongoDB a `readAt: null` filter does not match an unset field
+            data: { ...entry, readAt: null },
+          })
+    );
+  }
+
+  for (const notification of notifications) {
+    emitToUsers([notification.userId], "notification:new", {
+      notification: presentNotification(notification),
+    });
+  }
+
+  return notifications;
+};
+
+// Notifications are a side effect of the action that triggers them, so a failure must not fail it
+export const createNotificationsQuietly = (entries) =>
+  createNotifications(entries).catch((err) => console.log("Notifications failed:", err));
+
+// Notifies everyone who saved the post, except its owner; `entry` is the notification without userId
+export const notifyPostSavers = (post, entry) =>
+  prisma.savedPost
+    .findMany({
+      where: { postId: post.id, userId: { not: post.userId } },
+      select: { userId: true },
+    })
+    .then((savers) => createNotifications(savers.map(({ userId }) => ({ ...entry, userId }))))
+    .catch((err) => console.log("Notifications failed:", err));
+
+// Marks the unread notification of a group as read, e.g. once the chat it points to has been opened
+export const readNotificationGroup = (userId, groupKey) =>
+  prisma.notification.updateMany({
+    where: { userId, groupKey, readAt: null },
+    data: { readAt: new Date() },
+  });
@@ -0,0 +1,82 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Reads limit, cursor/page, sort and order from the query string.
+// `sortFields` lists what the caller may sort by; returns { error } for anything else.
+export const parsePagination = (
+  query,
+  { sortFields, defaultSort = "createdAt", defaultOrder = "desc", cursorParam = "cursor" }
+) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}!` };
+  }
+
+  const cursor = query[cursorParam] || null;
+  // Cursors are record ids; anything else would only fail in the database
+  if (cursor !== null && (typeof cursor !== "string" || !/^[a-f0-9]{24}$/i.test(cursor))) {
+    return { error: `${cursorParam} is not a valid cursor!` };
+  }
+  const page = query.page === undefined ? null : parseInt(query.page);
+  if (page !== null && (!Number.isInteger(page) || page < 1)) {
+    return { error: "page must be a positive number!" };
+  }
+  if (cursor && page !== null) {
+    return { error: `Use either ${cursorParam} or page, not both!` };
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!sortFields.includes(sort)) {
+    return { error: `sort must be one of: ${sortFields.join(", ")}!` };
+  }
+
+  const order = query.order || (sort === defaultSort ? defaultOrder : "asc");
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc!" };
+  }
+
+  return { limit, cursor, page, sort, order };
+};
+
+// Prisma findMany arguments for a page. One extra row is fetched to know if another page exists.
+// `orderBy` defaults to the sort field; the id tiebreaker keeps cursors stable on duplicate values.
+export const pageArgs = ({ limit, cursor, page, sort, order }, orderBy = { [sort]: order }) => ({
+  orderBy: [orderBy, { id: order }],
+  take: limit + 1,
+  ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  ...(page && { skip: (page - 1) * limit }),
+});
+
+// Wraps a page of rows (fetched with pageArgs) in the standard response envelope
+export const toPage = (rows, total, { limit, page }) => {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    data,
+    total,
+    limit,
+    page: page ?? null,
+    nextCursor: hasMore ? data[data.length - 1].id : null,
+  };
+};
+
+// Same envelope for results that had to be filtered or sorted in memory (e.g. by distance)
+export const paginateArray = (items, { limit, cursor, page }) => {
+  let start = 0;
+  if (cursor) {
+    const index = items.findIndex((item) => item.id === cursor);
+    start = index === -1 ? items.length : index + 1;
+  } else if (page) {
+    start = (page - 1) * limit;
+  }
+  return toPage(items.slice(start, start + limit + 1), items.length, { limit, page });
+};
+
+export const sortBy = (items, { sort, order }) => {
+  const direction = order === "asc" ? 1 : -1;
+  return [...items].sort((a, b) => {
+    if (a[sort] < b[sort]) return -direction;
+    if (a[sort] > b[sort]) return direction;
+    return a.id < b.id ? -direction : direction;
+  });
+};
@@ -0,0 +1,32 @@
+export const ROLES = ["user", "agent", "moderator", "admin"];
+
+export const PERMISSIONS = {
+  DELIST_POSTS: "posts:delist",
+  BAN_USERS: "users:ban",
+  VIEW_USERS: "users:view",
+  MANAGE_ROLES: "roles:manage",
+  VIEW_AUDIT_LOG: "audit:view",
+  REVIEW_REPORTS: "reports:review",
+  MANAGE_CURRENCIES: "currencies:manage",
+  REVIEW_LISTINGS: "posts:review",
+};
+
+// Agents list properties like regular users for now; the role exists so the client can badge them
+const ROLE_PERMISSIONS = {
+  user: [],
+  agent: [],
+  moderator: [
+    PERMISSIONS.DELIST_POSTS,
+    PERMISSIONS.BAN_USERS,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.VIEW_AUDIT_LOG,
+    PERMISSIONS.REVIEW_REPORTS,
+    PERMISSIONS.REVIEW_LISTINGS,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] ?? [];
+
+export const hasPermission = (user, permission) =>
+  !!user && permissionsFor(user.role).includes(permission);
@@ -0,0 +1,86 @@
+import prisma from "./prisma.js";
+import { PERMISSIONS, hasPermission } from "./permissions.js";
+import { PUBLIC_STATUSES } from "./listingStatus.js";
+import { withPriceDrop } from "./prices.js";
+import { withDisplayPrice } from "./currency.js";
+
+// Drafts, listings waiting for review and delisted posts are only visible to their owner and to staff
+export const canView = (post, viewer) =>
+  PUBLIC_STATUSES.includes(post.status) ||
+  (!!viewer &&
+    (viewer.id === post.userId ||
+      hasPermission(viewer, PERMISSIONS.DELIST_POSTS) ||
+      hasPermission(viewer, PERMISSIONS.REVIEW_LISTINGS)));
+
+export const hiddenMessage = (post) =>
+  post.status === "delisted"
+    ? "This post has been delisted by an administrator."
+    : "This post is not published.";
+
+// A listing with its details and owner as GET /api/posts/:id shows it to `viewer` (null when logged out),
+// with `displayCurrency` prices converted using `rates`. Used by getPost and the assistant:
+// { post } or { status, message }
+export const loadPost = async (id, viewer, { displayCurrency, rates } = {}) => {
+  const post = await prisma.post.findUnique({
+    where: { id },
+    include: {
+      postDetail: true,
+      user: {
+        select: {
+          username: true,
+          avatar: true,
+        },
+      },
+    },
+  });
+
+  if (!post) return { status: 404, message: "Post not found" };
+
+  // Security check: Block public access to delisted posts
+  if (!canView(post, viewer)) return { status: 403, message: hiddenMessage(post) };
+
+  const presented = withDisplayPrice(withPriceDrop(post), displayCurrency, rates);
+  if (!viewer) return { post: { ...presented, isSaved: false } };
+
+  const saved = await prisma.savedPost
+    .findUnique({
+      where: {
+        userId_postId: {
+          postId: id,
+          userId: viewer.id,
+        },
+      },
+    })
+    .catch(() => null);
+
+  return { post: { ...presented, isSaved: !!saved } };
+};
+
+// Saves the listing for the user, or removes it when it was already saved; returns whether it is saved now
+export const toggleSavedPost = async (userId, postId) => {
+  const savedPost = await prisma.savedPost.findUnique({
+    where: {
+      userId_postId: {
+        userId,
+        postId,
+      },
+    },
+  });
+
+  if (savedPost) {
+    await prisma.savedPost.delete({
+      where: {
+        id: savedPost.id,
+      },
+    });
+    return false;
+  }
+
+  await prisma.savedPost.create({
+    data: {
+      userId,
+      postId,
+    },
+  });
+  return true;
+};
@@ -0,0 +1,25 @@
+// Post fields for a price change, including its PriceHistory entry.
+// Returns null when the update changes neither the price nor the currency.
+export const priceChangeData = (post, { price = post.price, currency = post.currency }) => {
+  if (price === post.price && currency === post.currency) return null;
+
+  // Prices in different currencies can't be compared, so a currency change is never a drop
+  const dropped = currency === post.currency && price < post.price;
+
+  return {
+    previousPrice: post.price,
+    priceDropPercent: dropped ? Math.round(((post.price - price) / post.price) * 1000) / 10 : null,
+    priceChangedAt: new Date(),
+    priceHistory: {
+      create: { price, currency, previousPrice: post.price, previousCurrency: post.currency },
+    },
+  };
+};
+
+// History entry for a new listing's starting price
+export const initialPriceData = ({ price, currency }) => ({
+  priceHistory: { create: { price, currency } },
+});
+
+// Adds the "reduced" flag shown on listing cards
+export const withPriceDrop = (post) => ({ ...post, reduced: post.priceDropPercent > 0 });
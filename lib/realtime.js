@@ -0,0 +1,148 @@
+import { Server } from "socket.io";
+import prisma from "./prisma.js";
+import { authenticate } from "./session.js";
+import { countUnread } from "./chat.js";
+
+// Socket.IO server shared by the controllers. Every socket joins a "user:<id>" room,
+// so pushing to a user reaches all of their open tabs and devices, and a "session:<id>" room,
+// so revoking a session can close the sockets it opened.
+//
+// Server -> client events:
+//   message:new         { chatId, message }
+//   chat:read           { chatId, userId, readAt }
+//   notification:count  { count }
+//   notification:new    { notification }
+//   typing              { chatId, userId, isTyping }
+//   presence            { userId, online }
+// Client -> server events:
+//   typing              { chatId, isTyping }
+//   presence:query      { userIds }, ack({ [userId]: boolean })
+
+let io = null;
+
+// Number of open sockets per user, used for online presence
+const connections = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const parseCookies = (header = "") =>
+  Object.fromEntries(
+    header
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join("="))])
+  );
+
+// Same rules as verifyToken: cookie or bearer token, backed by a live session
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { headers, auth: handshakeAuth } = socket.handshake;
+    const auth = await authenticate({
+      cookies: parseCookies(headers.cookie),
+      headers: {
+        authorization: handshakeAuth?.token ? `Bearer ${handshakeAuth.token}` : headers.authorization,
+      },
+    });
+
+    if (!auth.user) return next(new Error(auth.message));
+
+    socket.data.userId = auth.user.id;
+    socket.data.sessionId = auth.sessionId;
+    next();
+  } catch (err) {
+    console.log(err);
+    next(new Error("Failed to authenticate!"));
+  }
+};
+
+const chatPartnerIds = async (userId) => {
+  const chats = await prisma.chat.findMany({
+    where: { userIDs: { has: userId } },
+    select: { userIDs: true },
+  });
+  return [...new Set(chats.flatMap((chat) => chat.userIDs))].filter((id) => id !== userId);
+};
+
+const announcePresence = async (userId, online) => {
+  emitToUsers(await chatPartnerIds(userId), "presence", { userId, online });
+};
+
+const onConnection = (socket) => {
+  const { userId, sessionId } = socket.data;
+  socket.join([userRoom(userId), sessionRoom(sessionId)]);
+
+  const count = (connections.get(userId) || 0) + 1;
+  connections.set(userId, count);
+  if (count === 1) announcePresence(userId, true).catch((err) => console.log(err));
+
+  socket.on("typing", async ({ chatId, isTyping } = {}) => {
+    try {
+      const chat = await prisma.chat.findFirst({
+        where: { id: chatId, userIDs: { has: userId } },
+        select: { userIDs: true },
+      });
+      if (!chat) return;
+
+      const others = chat.userIDs.filter((id) => id !== userId);
+      emitToUsers(others, "typing", { chatId, userId, isTyping: !!isTyping });
+    } catch (err) {
+      console.log(err);
+    }
+  });
+
+  socket.on("presence:query", ({ userIds } = {}, ack) => {
+    if (typeof ack !== "function" || !Array.isArray(userIds)) return;
+    ack(Object.fromEntries(userIds.slice(0, 100).map((id) => [id, isOnline(id)])));
+  });
+
+  socket.on("disconnect", () => {
+    const remaining = (connections.get(userId) || 1) - 1;
+    if (remaining > 0) {
+      connections.set(userId, remaining);
+      return;
+    }
+    connections.delete(userId);
+    announcePresence(userId, false).catch((err) => console.log(err));
+  });
+};
+
+export const initRealtime = (server, { origin }) => {
+  io = new Server(server, {
+    cors: { origin, credentials: true },
+  });
+  io.use(authenticateSocket);
+  io.on("connection", onConnection);
+  return io;
+};
+
+// No-ops until initRealtime has run, so controllers can call these from scripts too
+export const emitToUsers = (userIds, event, payload) => {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map(userRoom)).emit(event, payload);
+};
+
+export const isOnline = (userId) => connections.has(userId);
+
+// Pushes fresh unread counts to the given users
+export const pushUnreadCounts = async (userIds) => {
+  if (!io) return;
+  await Promise.all(
+    userIds.map(async (userId) => {
+      emitToUsers([userId], "notification:count", { count: await countUnread(userId) });
+    })
+  );
+};
+
+// Drops every socket of a user, e.g. once the account is deleted
+export const disconnectUser = (userId) => {
+  if (!io) return;
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Drops the sockets opened with the given sessions, once they are revoked
+export const disconnectSessions = (sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
@@ -0,0 +1,142 @@
+import prisma from "./prisma.js";
+import { createNotifications } from "./notifications.js";
+
+export const MAX_SAVED_SEARCHES = 20;
+
+const FILTER_FIELDS = ["city", "type", "property", "bedroom", "minPrice", "maxPrice"];
+
+// Returns an error message when the filters can't make a useful search, otherwise null
+export const checkFilters = (filters) => {
+  if (!FILTER_FIELDS.some((field) => filters[field] !== undefined && filters[field] !== null)) {
+    return "Choose at least one filter to save!";
+  }
+  if (filters.minPrice != null && filters.maxPrice != null && filters.minPrice > filters.maxPrice) {
+    return "minPrice must not be greater than maxPrice!";
+  }
+  return null;
+};
+
+// Readable default name, e.g. "2 bed apartment to rent in Lekki"
+export const describeFilters = (filters) => {
+  const parts = [];
+  if (filters.bedroom != null) parts.push(`${filters.bedroom} bed`);
+  parts.push(filters.property ?? "property");
+  if (filters.type) parts.push(filters.type === "rent" ? "to rent" : "to buy");
+  if (filters.city) parts.push(`in ${filters.city}`);
+  return parts.join(" ");
+};
+
+// Maps the assistant's collected fields onto listing filters.
+// Property types the listings don't have (e.g. "commercial") are left out rather than matching nothing.
+export const filtersFromCollected = (collected) => ({
+  city: collected.location ?? undefined,
+  type: ["buy", "rent"].includes(collected.action) ? collected.action : undefined,
+  property: ["apartment", "house", "condo", "land"].includes(collected.propertyType)
+    ? collected.propertyType
+    : undefined,
+  bedroom: collected.bedrooms ?? undefined,
+  minPrice: collected.priceRange?.min || undefined,
+  maxPrice: collected.priceRange?.max ?? undefined,
+});
+
+// Used by both the saved search routes and the assistant: { savedSearch } or { status, message }
+export const createSavedSearch = async (userId, { name, filters, alerts }) => {
+  const error = checkFilters(filters);
+  if (error) return { status: 400, message: error };
+
+  const count = await prisma.savedSearch.count({ where: { userId } });
+  if (count >= MAX_SAVED_SEARCHES) {
+    return { status: 409, message: `You can save up to ${MAX_SAVED_SEARCHES} searches!` };
+  }
+
+  const savedSearch = await prisma.savedSearch.create({
+    data: {
+      userId,
+      name: name ?? describeFilters(filters),
+      filters,
+      alerts: alerts ?? true,
+    },
+  });
+
+  return { savedSearch };
+};
+
+const includesText = (value, text) => !!value && value.toLowerCase().includes(text.toLowerCase());
+
+// Same rules as the GET /api/posts filters
+export const matchesSearch = (post, filters) => {
+  if (!["active", "under_offer"].includes(post.status)) return false;
+  if (
+    filters.city &&
+    !includesText(post.city, filters.city) &&
+    !includesText(post.country, filters.city) &&
+    !includesText(post.address, filters.city)
+  ) {
+    return false;
+  }
+  if (filters.type && post.type !== filters.type) return false;
+  if (filters.property && post.property !== filters.property) return false;
+  if (filters.bedroom != null && post.bedroom !== filters.bedroom) return false;
+  // Price bounds are in the base currency; posts in a currency without a rate can't match them
+  if (filters.minPrice != null || filters.maxPrice != null) {
+    if (post.basePrice == null) return false;
+    if (filters.minPrice != null && post.basePrice < filters.minPrice) return false;
+    if (filters.maxPrice != null && post.basePrice > filters.maxPrice) return false;
+  }
+  return true;
+};
+
+// Searches that leave `field` unset or set it to `value`
+const unsetOr = (field, value) => ({
+  OR: [{ [field]: null }, { [field]: { isSet: false } }, ...(value != null ? [{ [field]: value }] : [])],
+});
+
+// Narrows the saved searches the post could match in the database; the city, a substring match
+// against several fields, is left to matchesSearch
+const candidateSearchesWhere = (post) => ({
+  alerts: true,
+  userId: { not: post.userId },
+  filters: {
+    is: {
+      AND: [
+        unsetOr("type", post.type),
+        unsetOr("property", post.property),
+        unsetOr("bedroom", post.bedroom),
+        post.basePrice != null
+          ? { OR: [unsetOr("minPrice"), { minPrice: { lte: post.basePrice } }] }
+          : unsetOr("minPrice"),
+        post.basePrice != null
+          ? { OR: [unsetOr("maxPrice"), { maxPrice: { gte: post.basePrice } }] }
+          : unsetOr("maxPrice"),
+      ],
+    },
+  },
+});
+
+// Notifies the owners of every saved search the post matches. On updates `previous` is the post
+// before the change, so searches it already matched are not notified again.
+export const notifySavedSearchMatches = async (post, previous = null) => {
+  // No filters at all only checks the status: unlisted posts match nothing
+  if (!matchesSearch(post, {})) return [];
+
+  const searches = await prisma.savedSearch.findMany({ where: candidateSearchesWhere(post) });
+
+  const matched = searches.filter(
+    (search) => matchesSearch(post, search.filters) && !(previous && matchesSearch(previous, search.filters))
+  );
+
+  return createNotifications(
+    matched.map((search) => ({
+      userId: search.userId,
+      type: "saved_search_match",
+      title: `New match for "${search.name}"`,
+      body: `${post.title} in ${post.city}`,
+      data: { savedSearchId: search.id, postId: post.id },
+    }))
+  );
+};
+
+// Alerts are a side effect of saving a listing, so a failure here must not fail the request.
+// Callers don't wait for it, so the response is not held up by the matching.
+export const notifySavedSearchMatchesQuietly = (post, previous) =>
+  notifySavedSearchMatches(post, previous).catch((err) => console.log("Saved search alerts failed:", err));
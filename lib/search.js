@@ -0,0 +1,186 @@
+import prisma from "./prisma.js";
+import { BASE_CURRENCY } from "./currency.js";
+
+// Keyword search and filter facets for GET /api/posts.
+// Candidates are narrowed in the database with `contains` filters, then ranked in memory.
+
+const MAX_TERMS = 8;
+
+// Keyword searches rank at most this many of the newest matching posts, so a common term stays cheap
+export const MAX_KEYWORD_CANDIDATES = 500;
+
+// Matches in the title count more than in the address, which count more than in the description
+const FIELD_WEIGHTS = { title: 3, address: 2, city: 2, desc: 1 };
+
+// Base currency bounds; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 500000, 1000000, 5000000, 20000000, 100000000];
+
+const BEDROOM_BUCKETS = ["0", "1", "2", "3", "4", "5+"];
+
+const MAX_CITY_FACETS = 20;
+
+// Splits ?q= into lowercase search terms; null when there is nothing to search for
+export const parseKeywords = (q) => {
+  if (typeof q !== "string") return null;
+  const terms = [...new Set(q.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((term) => term.length >= 2))];
+  return terms.length > 0 ? terms.slice(0, MAX_TERMS) : null;
+};
+
+const contains = (term) => ({ contains: term, mode: "insensitive" });
+
+// Posts matching at least one term in the title, address, city or description
+export const keywordWhere = (terms) => ({
+  OR: terms.flatMap((term) => [
+    { title: contains(term) },
+    { address: contains(term) },
+    { city: contains(term) },
+    { postDetail: { is: { desc: contains(term) } } },
+  ]),
+});
+
+const countOccurrences = (text, term) => {
+  if (!text) return 0;
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+// Adds a `relevance` score to each post (fetched with postDetail.desc) and drops the description again.
+// Repeated matches add a little, and posts matching every term get a bonus over partial matches.
+export const withRelevance = (posts, terms) =>
+  posts.map(({ postDetail, ...post }) => {
+    const fields = {
+      title: post.title?.toLowerCase(),
+      address: post.address?.toLowerCase(),
+      city: post.city?.toLowerCase(),
+      desc: postDetail?.desc?.toLowerCase(),
+    };
+
+    let score = 0;
+    let matchedTerms = 0;
+    for (const term of terms) {
+      let termScore = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const count = countOccurrences(fields[field], term);
+        if (count > 0) termScore += weight * (1 + Math.log(count));
+      }
+      if (termScore > 0) matchedTerms++;
+      score += termScore;
+    }
+    if (matchedTerms === terms.length) score *= 1.5;
+
+    return { ...post, relevance: Math.round(score * 100) / 100 };
+  });
+
+const parseNumber = (value) => {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// PostDetail filters: ?minSize=&maxSize= (sqft), ?pet= and ?utilities= (exact, case-insensitive),
+// plus any already parsed ones such as amenity distances
+export const detailWhere = (query, extra = {}) => {
+  const filters = { ...extra };
+
+  const minSize = parseNumber(query.minSize);
+  const maxSize = parseNumber(query.maxSize);
+  if (minSize !== null || maxSize !== null) {
+    filters.size = {
+      ...(minSize !== null && { gte: minSize }),
+      ...(maxSize !== null && { lte: maxSize }),
+    };
+  }
+  if (query.pet) filters.pet = { equals: query.pet, mode: "insensitive" };
+  if (query.utilities) filters.utilities = { equals: query.utilities, mode: "insensitive" };
+
+  return Object.keys(filters).length > 0 ? { is: filters } : undefined;
+};
+
+const tally = (posts, key) => {
+  const counts = {};
+  for (const post of posts) {
+    const value = key(post);
+    if (value !== null && value !== undefined) counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+};
+
+const bedroomBucket = (bedroom) => (bedroom >= 5 ? "5+" : String(bedroom));
+
+// `count(min, max)` counts the posts priced from min up to, but not including, max (null: no limit)
+const priceFacet = (count) =>
+  PRICE_BUCKETS.map((min, index) => {
+    const max = PRICE_BUCKETS[index + 1] ?? null;
+    return { min, max, count: count(min, max) };
+  });
+
+// Cities are grouped case-insensitively under their most common spelling; `rows` are { city, count }
+const cityFacet = (rows) => {
+  const cities = new Map();
+  for (const { city, count } of rows) {
+    if (!city) continue;
+    const key = city.trim().toLowerCase();
+    const entry = cities.get(key) ?? { names: {}, count: 0 };
+    entry.names[city.trim()] = (entry.names[city.trim()] || 0) + count;
+    entry.count += count;
+    cities.set(key, entry);
+  }
+  return [...cities.values()]
+    .map(({ names, count }) => ({
+      value: Object.entries(names).sort((a, b) => b[1] - a[1])[0][0],
+      count,
+    }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_CITY_FACETS);
+};
+
+// Counts of the already loaded posts per filter value, for the filter sidebar
+export const facetCounts = (posts) => {
+  const bedroom = Object.fromEntries(BEDROOM_BUCKETS.map((bucket) => [bucket, 0]));
+  for (const post of posts) bedroom[bedroomBucket(post.bedroom)]++;
+
+  return {
+    type: tally(posts, (post) => post.type),
+    property: tally(posts, (post) => post.property),
+    bedroom,
+    price: {
+      currency: BASE_CURRENCY,
+      buckets: priceFacet(
+        (min, max) => posts.filter((post) => post.basePrice != null && post.basePrice >= min && (max === null || post.basePrice < max)).length
+      ),
+    },
+    city: cityFacet(posts.map((post) => ({ city: post.city, count: 1 }))),
+  };
+};
+
+// Same as facetCounts for every post matching `where`, counted in the database without loading the posts
+export const countFacets = async (where) => {
+  const countBy = (field) => prisma.post.groupBy({ by: [field], where, _count: { _all: true } });
+  const countPriced = (min, max) =>
+    prisma.post.count({ where: { AND: [where, { basePrice: { gte: min, ...(max !== null && { lt: max }) } }] } });
+
+  const [types, properties, bedrooms, cities, buckets] = await Promise.all([
+    countBy("type"),
+    countBy("property"),
+    countBy("bedroom"),
+    countBy("city"),
+    Promise.all(priceFacet(countPriced).map(async (bucket) => ({ ...bucket, count: await bucket.count }))),
+  ]);
+
+  const counts = (rows, field) =>
+    Object.fromEntries(rows.filter((row) => row[field] != null).map((row) => [row[field], row._count._all]));
+  const bedroom = Object.fromEntries(BEDROOM_BUCKETS.map((bucket) => [bucket, 0]));
+  for (const row of bedrooms) bedroom[bedroomBucket(row.bedroom)] += row._count._all;
+
+  return {
+    type: counts(types, "type"),
+    property: counts(properties, "property"),
+    bedroom,
+    price: { currency: BASE_CURRENCY, buckets },
+    city: cityFacet(cities.map((row) => ({ city: row.city, count: row._count._all }))),
+  };
+};
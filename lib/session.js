@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "./prisma.js";
+import { disconnectSessions } from "./realtime.js";
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+// Cookie settings shared by login, refresh and logout so clearCookie always matches
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,     // MUST BE TRUE FOR VERCEL
+  sameSite: "none",   // MUST BE NONE FOR CROSS-SITE
+};
+const REFRESH_COOKIE_OPTIONS = { ...COOKIE_OPTIONS, path: "/api/auth" };
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the secret is stored
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!/^[a-f0-9]{24}$/i.test(sessionId) || !secret) return null;
+  return { sessionId, secret };
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Starts a new session for a user who just proved their identity
+export const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      userAgent: req.headers["user-agent"]?.slice(0, 255),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+      // Stored explicitly: on MongoDB a `revokedAt: null` filter does not match an unset field
+      revokedAt: null,
+    },
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+  };
+};
+
+// Swaps a refresh token for a new access/refresh pair.
+// Presenting an already-rotated token means it leaked, so the whole session is revoked.
+export const rotateSession = async (refreshToken) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: parts.sessionId },
+    include: { user: true },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || session.user.isBanned) {
+    return null;
+  }
+
+  if (session.refreshTokenHash !== hashToken(parts.secret)) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const secret = crypto.randomBytes(32).toString("base64url");
+
+  // Matching on the old hash makes two concurrent refreshes with the same token fail one of them
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash },
+    data: {
+      refreshTokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+    },
+  });
+  if (count === 0) return null;
+
+  return {
+    user: session.user,
+    accessToken: signAccessToken(session.user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+  };
+};
+
+// Sockets are only authenticated when they connect, so revoking a session also closes its sockets
+export const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  disconnectSessions([sessionId]);
+};
+
+// Revokes every active session of a user, optionally keeping the one making the request
+export const revokeUserSessions = async (userId, { except } = {}) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(except && { NOT: { id: except } }),
+    },
+    select: { id: true },
+  });
+  const ids = sessions.map((session) => session.id);
+  if (ids.length === 0) return;
+
+  await prisma.session.updateMany({
+    where: { id: { in: ids }, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  disconnectSessions(ids);
+};
+
+// Revokes the session of a refresh token, but only when its secret matches too: the session id alone
+// is no proof, it is in every access token. Returns the revoked session's id, or null.
+export const revokeRefreshToken = async (refreshToken) => {
+  const parts = refreshToken ? splitRefreshToken(refreshToken) : null;
+  if (!parts) return null;
+
+  const session = await prisma.session.findUnique({ where: { id: parts.sessionId } });
+  if (!session || session.refreshTokenHash !== hashToken(parts.secret)) return null;
+
+  await revokeSession(session.id);
+  return session.id;
+};
+
+// Reads the access token from the cookie or the Authorization header
+export const readAccessToken = (req) => {
+  let token = req.cookies?.token;
+
+  if (!token) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+      token = authHeader.substring(7);
+    }
+  }
+
+  return token || null;
+};
+
+export const readRefreshToken = (req) => req.cookies?.refreshToken || req.body?.refreshToken || null;
+
+// Verifies the access token and that its session is still live.
+// Resolves to { user, sessionId } or { status, message } describing why the request is rejected.
+export const authenticate = async (req) => {
+  const token = readAccessToken(req);
+  if (!token) return { status: 401, message: "Not Authenticated!" };
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET_KEY);
+  } catch {
+    return { status: 403, message: "Token is not Valid!" };
+  }
+
+  if (!payload.sid) return { status: 403, message: "Token is not Valid!" };
+
+  const session = await prisma.session.findUnique({
+    where: { id: payload.sid },
+    include: { user: true },
+  });
+
+  if (!session || session.userId !== payload.id || session.revokedAt || session.expiresAt < new Date()) {
+    return { status: 401, message: "Session has expired or was revoked!" };
+  }
+
+  if (session.user.isBanned) {
+    return { status: 403, message: "Your account has been banned!" };
+  }
+
+  return { user: session.user, sessionId: session.id };
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) =>
+  res
+    .cookie("token", accessToken, { ...COOKIE_OPTIONS, maxAge: ACCESS_TOKEN_TTL * 1000 })
+    .cookie("refreshToken", refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL * 1000 });
+
+export const clearAuthCookies = (res) =>
+  res
+    .clearCookie("token", COOKIE_OPTIONS)
+    .clearCookie("refreshToken", REFRESH_COOKIE_OPTIONS);
@@ -0,0 +1,31 @@
+// Server-Sent Events over a regular response: send(event, data) writes one event with JSON data.
+// `closed` turns true once the client disconnects, so long-running work can stop early.
+export const openEventStream = (res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops reverse proxies such as nginx from buffering the events
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const stream = {
+    closed: false,
+    send: (event, data) => {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end: () => {
+      if (stream.closed) return;
+      stream.closed = true;
+      res.end();
+    },
+  };
+
+  res.on("close", () => {
+    stream.closed = true;
+  });
+
+  return stream;
+};
@@ -0,0 +1,25 @@
+import { localStorage } from "./local.storage.js";
+
+// A storage adapter is an object with
+//   save(key, buffer, contentType) => Promise<publicUrl>
+//   remove(key) => Promise
+//   middleware?() => express middleware serving the files under /uploads (local adapters only)
+// STORAGE_DRIVER picks one by name; cloud adapters plug in through registerStorage.
+const adapters = {
+  local: localStorage,
+};
+
+export const registerStorage = (name, adapter) => {
+  if (typeof adapter?.save !== "function" || typeof adapter?.remove !== "function") {
+    throw new Error(`Storage adapter "${name}" must have save() and remove() functions`);
+  }
+  adapters[name] = adapter;
+};
+
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const adapter = adapters[name];
+
+  if (!adapter) throw new Error(`Unknown storage driver "${name}"`);
+  return adapter;
+};
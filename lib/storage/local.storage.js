@@ -0,0 +1,28 @@
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+
+const uploadDir = () => path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+// Keys are generated by the server, but never let one escape the upload directory
+const resolveKey = (key) => {
+  const file = path.resolve(uploadDir(), key);
+  if (!file.startsWith(uploadDir() + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+  return file;
+};
+
+// Stores files on the local disk and serves them from /uploads on this API
+export const localStorage = {
+  save: async (key, buffer) => {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${process.env.PUBLIC_URL || ""}/uploads/${key}`;
+  },
+
+  remove: async (key) => {
+    await fs.rm(resolveKey(key), { force: true });
+  },
+
+  middleware: () => express.static(uploadDir(), { maxAge: "30d", immutable: true }),
+};
@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import prisma from "./prisma.js";
+import { getStorage } from "./storage/index.js";
+import { processImage } from "./images.js";
+
+// Resizes an uploaded image, stores every variant and records them against the uploader.
+// Returns the Upload record or { error } when the file is not an acceptable image.
+export const createUpload = async (userId, file) => {
+  const processed = await processImage(file.buffer);
+  if (processed.error) return processed;
+
+  const storage = getStorage();
+  const base = `${userId}/${crypto.randomBytes(12).toString("hex")}`;
+
+  const keys = [];
+  const urls = {};
+  for (const [name, buffer] of Object.entries(processed.variants)) {
+    const key = `${base}-${name}.webp`;
+    urls[name] = await storage.save(key, buffer, "image/webp");
+    keys.push(key);
+  }
+
+  return prisma.upload.create({
+    data: {
+      userId,
+      keys,
+      urls: Object.values(urls),
+      variants: urls,
+      width: processed.width,
+      height: processed.height,
+      originalName: file.originalname?.slice(0, 255),
+      size: file.size,
+    },
+  });
+};
+
+// Image URLs from `urls` that a listing, an avatar or a chat message attachment still shows
+export const urlsInUse = async (urls) => {
+  if (urls.length === 0) return new Set();
+
+  const [posts, users, messages] = await Promise.all([
+    prisma.post.findMany({ where: { images: { hasSome: urls } }, select: { images: true } }),
+    prisma.user.findMany({ where: { avatar: { in: urls } }, select: { avatar: true } }),
+    prisma.message.findMany({
+      where: { attachments: { some: { url: { in: urls } } } },
+      select: { attachments: true },
+    }),
+  ]);
+  const shown = new Set([
+    ...posts.flatMap((post) => post.images),
+    ...users.map((user) => user.avatar),
+    ...messages.flatMap((message) => message.attachments.map((attachment) => attachment.url)),
+  ]);
+  return new Set(urls.filter((url) => shown.has(url)));
+};
+
+// Deletes the stored files of upload records whose rows are already gone
+export const removeUploadFiles = async (uploads) => {
+  const storage = getStorage();
+  for (const upload of uploads) {
+    await Promise.all(upload.keys.map((key) => storage.remove(key)));
+  }
+};
+
+// Deletes the records and stored files of the uploads any of `urls` point to. Uploads a listing or an
+// avatar still shows are kept. Returns the uploads that were removed.
+export const removeUploads = async (urls) => {
+  if (urls.length === 0) return [];
+
+  const uploads = await prisma.upload.findMany({
+    where: { urls: { hasSome: urls } },
+  });
+  const inUse = await urlsInUse(uploads.flatMap((upload) => upload.urls));
+  const unused = uploads.filter((upload) => !upload.urls.some((url) => inUse.has(url)));
+  if (unused.length === 0) return [];
+
+  // Records first: a file left behind by a failed removal is harmless, a record without its file is not
+  await prisma.upload.deleteMany({
+    where: { id: { in: unused.map((upload) => upload.id) } },
+  });
+  await removeUploadFiles(unused);
+  return unused;
+};
+
+// Same as removeUploads, but never lets a failed cleanup fail the request that triggered it
+export const removeUploadsQuietly = (urls) =>
+  removeUploads(urls).catch((err) => console.log("Upload cleanup failed:", err));
+
+// Image URLs from `urls` that are not variants of the user's own uploads
+export const foreignImages = async (userId, urls) => {
+  if (urls.length === 0) return [];
+
+  const uploads = await prisma.upload.findMany({
+    where: { userId, urls: { hasSome: urls } },
+    select: { urls: true },
+  });
+  const owned = new Set(uploads.flatMap((upload) => upload.urls));
+  return urls.filter((url) => !owned.has(url));
+};
@@ -0,0 +1,128 @@
+// Minimal schema validator used by the validate middleware.
+// A schema is a plain object mapping field names to rules:
+//   { type, required, nullable, min, max, minLength, maxLength, pattern, values, items, schema, message }
+// Only fields named in the schema are kept; strings are trimmed and numbers/booleans coerced from strings.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const checkRange = (number, rule) => {
+  if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+  if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+  return null;
+};
+
+const checkLength = (length, rule, unit) => {
+  if (rule.minLength !== undefined && length < rule.minLength) return `must have at least ${rule.minLength} ${unit}`;
+  if (rule.maxLength !== undefined && length > rule.maxLength) return `must have at most ${rule.maxLength} ${unit}`;
+  return null;
+};
+
+const coerceNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value.trim());
+  return NaN;
+};
+
+// Returns { value } or { error } for a single non-empty value
+const validateValue = (value, rule, path) => {
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "objectId": {
+      if (typeof value !== "string") return { error: "must be a string" };
+      const trimmed = value.trim();
+      if (rule.type === "email" && !EMAIL_PATTERN.test(trimmed)) return { error: "must be a valid email address" };
+      if (rule.type === "objectId" && !OBJECT_ID_PATTERN.test(trimmed)) return { error: "must be a valid id" };
+      const error = checkLength(trimmed.length, rule, "characters");
+      if (error) return { error };
+      if (rule.pattern && !rule.pattern.test(trimmed)) return { error: rule.message || "has an invalid format" };
+      return { value: rule.type === "email" ? trimmed.toLowerCase() : trimmed };
+    }
+
+    case "number":
+    case "integer": {
+      const number = coerceNumber(value);
+      if (!Number.isFinite(number)) return { error: "must be a number" };
+      if (rule.type === "integer" && !Number.isInteger(number)) return { error: "must be a whole number" };
+      const error = checkRange(number, rule);
+      return error ? { error } : { value: number };
+    }
+
+    case "boolean": {
+      if (value === true || value === "true") return { value: true };
+      if (value === false || value === "false") return { value: false };
+      return { error: "must be true or false" };
+    }
+
+    case "enum": {
+      if (!rule.values.includes(value)) return { error: `must be one of: ${rule.values.join(", ")}` };
+      return { value };
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return { error: "must be a list" };
+      const error = checkLength(value.length, rule, "items");
+      if (error) return { error };
+      const items = [];
+      const errors = {};
+      value.forEach((item, index) => {
+        const result = validateValue(item, rule.items, `${path}[${index}]`);
+        if (result.errors) Object.assign(errors, result.errors);
+        else if (result.error) errors[`${path}[${index}]`] = result.error;
+        else items.push(result.value);
+      });
+      return Object.keys(errors).length > 0 ? { errors } : { value: items };
+    }
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return { error: "must be an object" };
+      const result = validateObject(value, rule.schema, `${path}.`);
+      return result.errors ? { errors: result.errors } : { value: result.value };
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${path}`);
+  }
+};
+
+// Validates `input` against `schema`; returns { value } with only the whitelisted fields, or { errors }
+export const validateObject = (input, schema, prefix = "") => {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const path = `${prefix}${field}`;
+    const raw = source[field];
+
+    if (isEmpty(raw)) {
+      if (rule.required) errors[path] = "is required";
+      else if (raw === null && rule.nullable) value[field] = null;
+      continue;
+    }
+
+    const result = validateValue(raw, rule, path);
+    if (result.errors) Object.assign(errors, result.errors);
+    else if (result.error) errors[path] = result.error;
+    else value[field] = result.value;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+};
+
+// Makes every field of a schema (and of its nested objects) optional, for partial updates
+export const partial = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([field, rule]) => [
+      field,
+      {
+        ...rule,
+        required: false,
+        ...(rule.type === "object" && { schema: partial(rule.schema) }),
+      },
+    ])
+  );
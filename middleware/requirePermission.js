@@ -0,0 +1,23 @@
+import { authenticate } from "../lib/session.js";
+import { hasPermission } from "../lib/permissions.js";
+
+// Authenticates the request and checks the user's current role in the database
+// (not a claim in the token), so role changes and bans apply immediately.
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const auth = await authenticate(req);
+    if (!auth.user) return res.status(auth.status).json({ message: auth.message });
+
+    if (!permissions.every((permission) => hasPermission(auth.user, permission))) {
+      return res.status(403).json({ message: "Not Authorized!" });
+    }
+
+    req.userId = auth.user.id;
+    req.sessionId = auth.sessionId;
+    req.user = auth.user;
+    next();
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to authenticate!" });
+  }
+};
@@ -0,0 +1,41 @@
+import multer from "multer";
+
+const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_FILES = 10;
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      return cb(Object.assign(new Error("Unsupported file type"), { code: "UNSUPPORTED_TYPE" }));
+    }
+    cb(null, true);
+  },
+}).array("files", MAX_FILES);
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `must be at most ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB`,
+  LIMIT_FILE_COUNT: `must have at most ${MAX_FILES} items`,
+  LIMIT_UNEXPECTED_FILE: "must be sent in the \"files\" field",
+  UNSUPPORTED_TYPE: `must be one of: ${IMAGE_MIME_TYPES.join(", ")}`,
+};
+
+// Parses multipart "files" into req.files, answering 400 in the same shape as the validate middleware
+export const uploadImages = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError || err?.code === "UNSUPPORTED_TYPE") {
+      return res.status(400).json({
+        message: "Invalid input!",
+        errors: { files: MULTER_MESSAGES[err.code] || err.message },
+      });
+    }
+    if (err) return next(err);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: "Invalid input!", errors: { files: "is required" } });
+    }
+    next();
+  });
+};
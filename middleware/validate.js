@@ -0,0 +1,14 @@
+import { validateObject } from "../lib/validation.js";
+
+// Replaces req[source] with the whitelisted, coerced fields of `schema`,
+// or answers 400 with a message per invalid field.
+export const validate = (schema, source = "body") => (req, res, next) => {
+  const { value, errors } = validateObject(req[source], schema);
+
+  if (errors) {
+    return res.status(400).json({ message: "Invalid input!", errors });
+  }
+
+  req[source] = value;
+  next();
+};
@@ -1,23 +1,17 @@
-import jwt from "jsonwebtoken";
+import { authenticate } from "../lib/session.js";
 
-export const verifyToken = (req, res, next) => {
-  // Try cookie first, then Authorization header for cross-domain support
-  let token = req.cookies.token;
-  
-  // If no cookie, check Authorization header (Bearer token)
-  if (!token) {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith("Bearer ")) {
-      token = authHeader.substring(7);
-    }
-  }
-
-  if (!token) return res.status(401).json({ message: "Not Authenticated!" });
-
-  jwt.verify(token, process.env.JWT_SECRET_KEY, async (err, payload) => {
-    if (err) return res.status(403).json({ message: "Token is not Valid!" });
-    req.userId = payload.id;
+export const verifyToken = async (req, res, next) => {
+  try {
+    // Token comes from the cookie or the Authorization header (cross-domain support),
+    // and its session must still exist and not be revoked
+    const auth = await authenticate(req);
+    if (!auth.user) return res.status(auth.status).json({ message: auth.message });
 
+    req.userId = auth.user.id;
+    req.sessionId = auth.sessionId;
     next();
-  });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to authenticate!" });
+  }
 };
@@ -1,11 +1,45 @@
 import express from "express";
-import { getUsers, delistHouse, banUser } from "../controllers/admin.controller.js";
-import { verifyAdmin } from "../middleware/verifyAdmin.js";
+import {
+  getUsers,
+  delistHouse,
+  relistHouse,
+  banUser,
+  unbanUser,
+  assignRole,
+  getAuditLog,
+  getReportQueue,
+  resolveReports,
+  updateCurrencyRates,
+  approvePost,
+  rejectPost,
+  getPendingPosts,
+} from "../controllers/admin.controller.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { validate } from "../middleware/validate.js";
+import { PERMISSIONS } from "../lib/permissions.js";
+import {
+  approvalSchema,
+  assignRoleSchema,
+  auditQuerySchema,
+  currencyRatesSchema,
+  moderationSchema,
+  resolveReportsSchema,
+} from "../schemas/admin.schema.js";
 
 const router = express.Router();
 
-router.get("/users", verifyAdmin, getUsers);
-router.put("/delist/:id", verifyAdmin, delistHouse);
-router.put("/ban/:id", verifyAdmin, banUser);
+router.get("/users", requirePermission(PERMISSIONS.VIEW_USERS), getUsers);
+router.put("/delist/:id", requirePermission(PERMISSIONS.DELIST_POSTS), validate(moderationSchema), delistHouse);
+router.put("/relist/:id", requirePermission(PERMISSIONS.DELIST_POSTS), validate(moderationSchema), relistHouse);
+router.get("/pending", requirePermission(PERMISSIONS.REVIEW_LISTINGS), getPendingPosts);
+router.put("/approve/:id", requirePermission(PERMISSIONS.REVIEW_LISTINGS), validate(approvalSchema), approvePost);
+router.put("/reject/:id", requirePermission(PERMISSIONS.REVIEW_LISTINGS), validate(moderationSchema), rejectPost);
+router.put("/ban/:id", requirePermission(PERMISSIONS.BAN_USERS), validate(moderationSchema), banUser);
+router.put("/unban/:id", requirePermission(PERMISSIONS.BAN_USERS), validate(moderationSchema), unbanUser);
+router.put("/users/:id/role", requirePermission(PERMISSIONS.MANAGE_ROLES), validate(assignRoleSchema), assignRole);
+router.get("/reports", requirePermission(PERMISSIONS.REVIEW_REPORTS), getReportQueue);
+router.put("/reports/:postId/resolve", requirePermission(PERMISSIONS.REVIEW_REPORTS), validate(resolveReportsSchema), resolveReports);
+router.get("/audit", requirePermission(PERMISSIONS.VIEW_AUDIT_LOG), validate(auditQuerySchema, "query"), getAuditLog);
+router.put("/currency-rates", requirePermission(PERMISSIONS.MANAGE_CURRENCIES), validate(currencyRatesSchema), updateCurrencyRates);
 
 export default router;
@@ -1,14 +1,33 @@
 import express from "express";
-import { chatWithAssistant, clearSession, getSessionInfo } from "../controllers/assistant.controller.js";
+import {
+  chatWithAssistant,
+  streamChatWithAssistant,
+  clearSession,
+  getSession,
+  getSessionInfo,
+  getSessions,
+  removeSession,
+  saveSessionSearch,
+} from "../controllers/assistant.controller.js";
 import { verifyToken } from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { saveSessionSearchSchema, sessionsQuerySchema } from "../schemas/assistant.schema.js";
 
 const router = express.Router();
 
 // Chat endpoint with conversation memory
 router.post("/chat", verifyToken, chatWithAssistant);
+// Same conversation, streamed as Server-Sent Events
+router.post("/chat/stream", verifyToken, streamChatWithAssistant);
+
+// The user's stored conversations, to list and resume them
+router.get("/sessions", verifyToken, validate(sessionsQuerySchema, "query"), getSessions);
+router.get("/sessions/:sessionId", verifyToken, getSession);
+router.delete("/sessions/:sessionId", verifyToken, removeSession);
 
 // Session management endpoints
 router.post("/clear", verifyToken, clearSession);
 router.get("/session/:sessionId", verifyToken, getSessionInfo);
+router.post("/session/:sessionId/savedSearch", verifyToken, validate(saveSessionSearchSchema), saveSessionSearch);
 
 export default router;
\ No newline at end of file
@@ -1,10 +1,36 @@
 import express from "express";
-import { login, logout, register } from "../controllers/auth.controller.js";
+import {
+  forgotPassword,
+  login,
+  logout,
+  logoutAll,
+  refresh,
+  register,
+  resendVerification,
+  resetPassword,
+  verifyEmail,
+} from "../controllers/auth.controller.js";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import {
+  emailSchema,
+  loginSchema,
+  refreshSchema,
+  registerSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+} from "../schemas/auth.schema.js";
 
 const router = express.Router();
 
-router.post("/register", register);
-router.post("/login", login);
+router.post("/register", validate(registerSchema), register);
+router.post("/login", validate(loginSchema), login);
+router.post("/refresh", validate(refreshSchema), refresh);
 router.post("/logout", logout);
+router.post("/logout-all", verifyToken, logoutAll);
+router.post("/verify-email", validate(verifyEmailSchema), verifyEmail);
+router.post("/resend-verification", validate(emailSchema), resendVerification);
+router.post("/forgot-password", validate(emailSchema), forgotPassword);
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword);
 
 export default router;
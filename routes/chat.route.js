@@ -6,12 +6,14 @@ import {
   readChat,
 } from "../controllers/chat.controller.js";
 import { verifyToken } from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { addChatSchema, chatHistoryQuerySchema, chatListQuerySchema } from "../schemas/chat.schema.js";
 
 const router = express.Router();
 
-router.get("/", verifyToken, getChats);
-router.get("/:id", verifyToken, getChat);
-router.post("/", verifyToken, addChat);
+router.get("/", verifyToken, validate(chatListQuerySchema, "query"), getChats);
+router.get("/:id", verifyToken, validate(chatHistoryQuerySchema, "query"), getChat);
+router.post("/", verifyToken, validate(addChatSchema), addChat);
 router.put("/read/:id", verifyToken, readChat);
 
 export default router;
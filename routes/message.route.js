@@ -1,13 +1,19 @@
 import express from "express";
 import {
-  addMessage
+  addMessage,
+  editMessage,
+  deleteMessage,
 } from "../controllers/message.controller.js";
 import {verifyToken} from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import { addMessageSchema, editMessageSchema } from "../schemas/message.schema.js";
 
 const router = express.Router();
 
 
-router.post("/:chatId", verifyToken, addMessage);
+router.post("/:chatId", verifyToken, validate(addMessageSchema), addMessage);
+router.put("/:id", verifyToken, validate(editMessageSchema), editMessage);
+router.delete("/:id", verifyToken, deleteMessage);
 
 export default router; 
 
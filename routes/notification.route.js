@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  readNotification,
+  readAllNotifications,
+  getPreferences,
+  updatePreferences,
+} from "../controllers/notification.controller.js";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import {
+  notificationsQuerySchema,
+  preferencesSchema,
+  readAllSchema,
+} from "../schemas/notification.schema.js";
+
+const router = express.Router();
+
+router.get("/", verifyToken, validate(notificationsQuerySchema, "query"), getNotifications);
+router.get("/unread-count", verifyToken, getUnreadCount);
+router.get("/preferences", verifyToken, getPreferences);
+router.put("/preferences", verifyToken, validate(preferencesSchema), updatePreferences);
+router.put("/read-all", verifyToken, validate(readAllSchema), readAllNotifications);
+router.put("/:id/read", verifyToken, readNotification);
+
+export default router;
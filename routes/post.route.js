@@ -1,13 +1,36 @@
 import express from "express";
 import {verifyToken} from "../middleware/verifyToken.js";
-import { addPost, deletePost, getPost, getPosts, updatePost } from "../controllers/post.controller.js";
+import {
+  addPost,
+  deletePost,
+  getPost,
+  getPosts,
+  getPriceHistory,
+  getStatusHistory,
+  renewPost,
+  reportPost,
+  updatePost,
+  updatePostStatus,
+} from "../controllers/post.controller.js";
+import { validate } from "../middleware/validate.js";
+import {
+  addPostSchema,
+  postStatusSchema,
+  reportPostSchema,
+  updatePostSchema,
+} from "../schemas/post.schema.js";
 
 const router = express.Router();
 
 router.get("/", getPosts);
 router.get("/:id", getPost);
-router.post("/", verifyToken, addPost);
-router.put("/:id", verifyToken, updatePost);
+router.get("/:id/price-history", getPriceHistory);
+router.post("/", verifyToken, validate(addPostSchema), addPost);
+router.put("/:id", verifyToken, validate(updatePostSchema), updatePost);
 router.delete("/:id", verifyToken, deletePost);
+router.post("/:id/report", verifyToken, validate(reportPostSchema), reportPost);
+router.put("/:id/status", verifyToken, validate(postStatusSchema), updatePostStatus);
+router.post("/:id/renew", verifyToken, renewPost);
+router.get("/:id/status-history", verifyToken, getStatusHistory);
 
 export default router;
@@ -1,11 +1,13 @@
 import express from "express";
 import { shouldBeAdmin, shouldBeLoggedIn } from "../controllers/test.controller.js";
 import { verifyToken } from "../middleware/verifyToken.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../lib/permissions.js";
 
 const router = express.Router();
 
 router.get("/should-be-logged-in", verifyToken, shouldBeLoggedIn);
 
-router.get("/should-be-admin", shouldBeAdmin);
+router.get("/should-be-admin", requirePermission(PERMISSIONS.MANAGE_ROLES), shouldBeAdmin);
 
 export default router;
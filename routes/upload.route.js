@@ -0,0 +1,11 @@
+import express from "express";
+import { deleteUpload, uploadFiles } from "../controllers/upload.controller.js";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { uploadImages } from "../middleware/upload.js";
+
+const router = express.Router();
+
+router.post("/", verifyToken, uploadImages, uploadFiles);
+router.delete("/:id", verifyToken, deleteUpload);
+
+export default router;
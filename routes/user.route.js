@@ -7,19 +7,34 @@ import {
   savePost,
   profilePosts,
   getNotificationNumber,
-  adminMe
 } from "../controllers/user.controller.js";
+import {
+  getSavedSearches,
+  addSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from "../controllers/savedSearch.controller.js";
 import {verifyToken} from "../middleware/verifyToken.js";
+import { validate } from "../middleware/validate.js";
+import {
+  addSavedSearchSchema,
+  savePostSchema,
+  updateSavedSearchSchema,
+  updateUserSchema,
+} from "../schemas/user.schema.js";
 
 const router = express.Router();
 
 router.get("/", getUsers);
 // router.get("/search/:id", verifyToken, getUser);
-router.put("/:id", verifyToken, updateUser);
+router.put("/:id", verifyToken, validate(updateUserSchema), updateUser);
 router.delete("/:id", verifyToken, deleteUser);
-router.post("/save", verifyToken, savePost);
+router.post("/save", verifyToken, validate(savePostSchema), savePost);
 router.get("/profilePosts", verifyToken, profilePosts);
 router.get("/notification", verifyToken, getNotificationNumber);
-router.get("/admin-me", verifyToken, adminMe);
+router.get("/savedSearches", verifyToken, getSavedSearches);
+router.post("/savedSearches", verifyToken, validate(addSavedSearchSchema), addSavedSearch);
+router.put("/savedSearches/:id", verifyToken, validate(updateSavedSearchSchema), updateSavedSearch);
+router.delete("/savedSearches/:id", verifyToken, deleteSavedSearch);
 
 export default router;
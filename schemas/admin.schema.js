@@ -0,0 +1,50 @@
+import { ROLES } from "../lib/permissions.js";
+import { MODERATION_ACTIONS, REPORT_RESOLUTIONS } from "../lib/moderation.js";
+
+const reason = { type: "string", required: true, minLength: 3, maxLength: 500 };
+
+export const moderationSchema = {
+  reason,
+};
+
+export const approvalSchema = {
+  reason: { ...reason, required: false },
+};
+
+export const assignRoleSchema = {
+  role: { type: "enum", required: true, values: ROLES },
+  reason,
+};
+
+export const resolveReportsSchema = {
+  resolution: { type: "enum", required: true, values: REPORT_RESOLUTIONS },
+  reason,
+};
+
+export const currencyRatesSchema = {
+  rates: {
+    type: "array",
+    required: true,
+    minLength: 1,
+    maxLength: 50,
+    items: {
+      type: "object",
+      schema: {
+        currency: { type: "string", required: true, pattern: /^[A-Z]{3}$/, message: "must be a 3-letter currency code" },
+        // Base currency units per one unit of `currency`
+        rate: { type: "number", required: true, min: 0.000001 },
+      },
+    },
+  },
+};
+
+export const auditQuerySchema = {
+  adminId: { type: "objectId" },
+  targetId: { type: "objectId" },
+  action: { type: "enum", values: MODERATION_ACTIONS },
+  limit: { type: "integer" },
+  cursor: { type: "objectId" },
+  page: { type: "integer" },
+  sort: { type: "string" },
+  order: { type: "string" },
+};
@@ -0,0 +1,15 @@
+import { addSavedSearchSchema } from "./user.schema.js";
+
+// The filters come from what the assistant has collected in the session
+export const saveSessionSearchSchema = {
+  name: addSavedSearchSchema.name,
+  alerts: addSavedSearchSchema.alerts,
+};
+
+export const sessionsQuerySchema = {
+  limit: { type: "integer" },
+  cursor: { type: "objectId" },
+  page: { type: "integer" },
+  sort: { type: "string" },
+  order: { type: "string" },
+};
@@ -0,0 +1,35 @@
+export const registerSchema = {
+  username: {
+    type: "string",
+    required: true,
+    minLength: 3,
+    maxLength: 30,
+    pattern: /^[a-zA-Z0-9_.-]+$/,
+    message: "may only contain letters, numbers, dots, dashes and underscores",
+  },
+  email: { type: "email", required: true, maxLength: 254 },
+  password: { type: "string", required: true, minLength: 8, maxLength: 128 },
+};
+
+export const loginSchema = {
+  username: { type: "string", required: true, maxLength: 30 },
+  password: { type: "string", required: true, maxLength: 128 },
+};
+
+// The refresh token normally arrives as a cookie; the body is for clients that cannot use cookies
+export const refreshSchema = {
+  refreshToken: { type: "string", maxLength: 200 },
+};
+
+export const verifyEmailSchema = {
+  token: { type: "string", required: true, maxLength: 200 },
+};
+
+export const emailSchema = {
+  email: { type: "email", required: true, maxLength: 254 },
+};
+
+export const resetPasswordSchema = {
+  token: { type: "string", required: true, maxLength: 200 },
+  password: registerSchema.password,
+};
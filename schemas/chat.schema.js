@@ -0,0 +1,15 @@
+// receiverId may be left out when postId is given: the listing owner is the receiver
+export const addChatSchema = {
+  receiverId: { type: "objectId" },
+  postId: { type: "objectId" },
+};
+
+export const chatListQuerySchema = {
+  postId: { type: "objectId" },
+};
+
+export const chatHistoryQuerySchema = {
+  before: { type: "objectId" },
+  after: { type: "objectId" },
+  limit: { type: "integer", min: 1, max: 100 },
+};
@@ -0,0 +1,18 @@
+const attachmentSchema = {
+  kind: { type: "enum", required: true, values: ["image", "document"] },
+  url: { type: "string", required: true, maxLength: 2048, pattern: /^https?:\/\//, message: "must be an http(s) URL" },
+  name: { type: "string", maxLength: 255 },
+  mimeType: { type: "string", maxLength: 100 },
+  size: { type: "integer", min: 0 },
+};
+
+// A message needs at least one of text, attachments or a shared listing (checked in the controller)
+export const addMessageSchema = {
+  text: { type: "string", maxLength: 5000 },
+  attachments: { type: "array", maxLength: 10, items: { type: "object", schema: attachmentSchema } },
+  sharedPostId: { type: "objectId" },
+};
+
+export const editMessageSchema = {
+  text: { type: "string", required: true, maxLength: 5000 },
+};
@@ -0,0 +1,21 @@
+import { NOTIFICATION_CATEGORIES, OPTIONAL_CATEGORIES } from "../lib/notifications.js";
+
+const category = { type: "enum", values: Object.keys(NOTIFICATION_CATEGORIES) };
+
+export const notificationsQuerySchema = {
+  category,
+  unread: { type: "boolean" },
+  limit: { type: "integer" },
+  cursor: { type: "objectId" },
+  page: { type: "integer" },
+  sort: { type: "string" },
+  order: { type: "string" },
+};
+
+export const readAllSchema = {
+  category,
+};
+
+export const preferencesSchema = Object.fromEntries(
+  OPTIONAL_CATEGORIES.map((name) => [name, { type: "boolean" }])
+);
@@ -0,0 +1,53 @@
+import { partial } from "../lib/validation.js";
+import { OWNER_STATUSES } from "../lib/listingStatus.js";
+
+const postDataSchema = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  price: { type: "integer", required: true, min: 0 },
+  currency: { type: "string", pattern: /^[A-Z]{3}$/, message: "must be a 3-letter currency code" },
+  images: { type: "array", maxLength: 20, items: { type: "string", maxLength: 2048 } },
+  address: { type: "string", required: true, maxLength: 200 },
+  // Filled in by the geocoder when left out
+  city: { type: "string", maxLength: 100 },
+  bedroom: { type: "integer", required: true, min: 0, max: 50 },
+  bathroom: { type: "integer", required: true, min: 0, max: 50 },
+  // Looked up from the address when left out
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+  type: { type: "enum", required: true, values: ["buy", "rent"] },
+  property: { type: "enum", required: true, values: ["apartment", "house", "condo", "land"] },
+};
+
+const postDetailSchema = {
+  desc: { type: "string", required: true, maxLength: 5000 },
+  utilities: { type: "string", maxLength: 100 },
+  pet: { type: "string", maxLength: 100 },
+  income: { type: "string", maxLength: 200 },
+  size: { type: "integer", min: 0 },
+  // Metres; replaced by computed distances when the amenities dataset is loaded
+  school: { type: "integer", min: 0 },
+  bus: { type: "integer", min: 0 },
+  restaurant: { type: "integer", min: 0 },
+  hospital: { type: "integer", min: 0 },
+};
+
+export const addPostSchema = {
+  postData: { type: "object", required: true, schema: postDataSchema },
+  postDetail: { type: "object", required: true, schema: postDetailSchema },
+  // Keeps the listing private until it is published through PUT /:id/status
+  draft: { type: "boolean" },
+};
+
+export const updatePostSchema = {
+  postData: { type: "object", required: true, schema: partial(postDataSchema) },
+  postDetail: { type: "object", schema: partial(postDetailSchema) },
+};
+
+export const reportPostSchema = {
+  reason: { type: "enum", required: true, values: ["scam", "wrong_price", "duplicate", "offensive"] },
+  details: { type: "string", maxLength: 1000 },
+};
+
+export const postStatusSchema = {
+  status: { type: "enum", required: true, values: OWNER_STATUSES },
+};
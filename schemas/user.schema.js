@@ -0,0 +1,34 @@
+import { registerSchema } from "./auth.schema.js";
+
+// Role and ban flags are deliberately absent: they can only be changed through the admin routes
+export const updateUserSchema = {
+  username: { ...registerSchema.username, required: false },
+  email: { ...registerSchema.email, required: false },
+  password: { ...registerSchema.password, required: false },
+  avatar: { type: "string", maxLength: 2048 },
+};
+
+export const savePostSchema = {
+  postId: { type: "objectId", required: true },
+};
+
+const searchFiltersSchema = {
+  city: { type: "string", maxLength: 100 },
+  type: { type: "enum", values: ["buy", "rent"] },
+  property: { type: "enum", values: ["apartment", "house", "condo", "land"] },
+  bedroom: { type: "integer", min: 0, max: 50 },
+  minPrice: { type: "integer", min: 0 },
+  maxPrice: { type: "integer", min: 0 },
+};
+
+export const addSavedSearchSchema = {
+  name: { type: "string", maxLength: 100 },
+  filters: { type: "object", required: true, schema: searchFiltersSchema },
+  alerts: { type: "boolean" },
+};
+
+// Filters are replaced as a whole, so leaving one out clears it
+export const updateSavedSearchSchema = {
+  ...addSavedSearchSchema,
+  filters: { ...addSavedSearchSchema.filters, required: false },
+};
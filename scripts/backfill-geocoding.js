@@ -0,0 +1,53 @@
+// Fills in state and country for posts created while the geocoder was unavailable
+// (or before it stored the state), by reverse geocoding their coordinates:
+//   npm run backfill:geocoding
+// Lookups go through the geocode cache and the configured geocoder, so Nominatim's
+// one-request-per-second limit applies. Posts it can't place are listed at the end.
+import prisma from "../lib/prisma.js";
+import { reverseGeocode } from "../lib/geocoding.js";
+
+const missing = (field) => ({ OR: [{ [field]: null }, { [field]: { isSet: false } }, { [field]: "" }] });
+
+const run = async () => {
+  const posts = await prisma.post.findMany({
+    where: { OR: [missing("country"), missing("state")] },
+    select: { id: true, title: true, latitude: true, longitude: true, country: true, state: true },
+  });
+
+  let updated = 0;
+  const unplaced = [];
+
+  for (const post of posts) {
+    const place = await reverseGeocode({ lat: post.latitude, lng: post.longitude }).catch((err) => {
+      console.log(`Geocoding failed for ${post.id}:`, err.message);
+      return null;
+    });
+    if (!place?.country) {
+      unplaced.push(post);
+      continue;
+    }
+
+    await prisma.post.update({
+      where: { id: post.id },
+      data: { country: post.country || place.country, state: post.state || place.state || null },
+    });
+    updated++;
+  }
+
+  console.log(`Filled in the location of ${updated} of ${posts.length} post(s).`);
+
+  if (unplaced.length > 0) {
+    console.log(`${unplaced.length} post(s) could not be placed:`);
+    for (const post of unplaced) {
+      console.log(`  ${post.id} "${post.title}" (${post.latitude}, ${post.longitude})`);
+    }
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,25 @@
+// Runs every phrase in data/extraction-corpus.json through the rule-based extractor and lists the
+// fields that differ from what is expected. Run it after changing lib/extractionRules.js:
+//   npm run check:extraction
+// Entries with "resolved": false are phrases the rules should hand to the LLM.
+import fs from "fs";
+import { extractWithRules } from "../lib/extractionRules.js";
+
+const corpus = JSON.parse(fs.readFileSync(new URL("../data/extraction-corpus.json", import.meta.url), "utf8"));
+
+let failed = 0;
+for (const { message, expected, resolved = true } of corpus) {
+  const result = extractWithRules(message);
+  const problems = Object.entries(expected)
+    .filter(([field, value]) => JSON.stringify(result.fields[field]) !== JSON.stringify(value))
+    .map(([field, value]) => `${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(result.fields[field])}`);
+  if (result.resolved !== resolved) problems.push(`resolved: expected ${resolved}, got ${result.resolved}`);
+
+  if (problems.length > 0) {
+    failed++;
+    console.log(`"${message}"\n  ${problems.join("\n  ")}`);
+  }
+}
+
+console.log(`${corpus.length - failed}/${corpus.length} phrases extracted as expected.`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,42 @@
+// Imports exchange rates from a JSON file of { "<currency>": <base currency units per unit> }:
+//   npm run import:rates -- scripts/currency-rates.example.json
+// Every post is re-normalized afterwards, which also backfills basePrice on posts created before it existed.
+import fs from "fs";
+import prisma from "../lib/prisma.js";
+import { BASE_CURRENCY, normalizePosts, setRates } from "../lib/currency.js";
+
+const run = async () => {
+  const file = process.argv[2];
+  if (!file) {
+    console.log("Usage: npm run import:rates -- <rates.json>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const rates = JSON.parse(fs.readFileSync(file, "utf8"));
+  const invalid = Object.entries(rates).filter(
+    ([currency, rate]) => !/^[A-Z]{3}$/.test(currency) || typeof rate !== "number" || !(rate > 0)
+  );
+  if (invalid.length > 0) {
+    console.log(`Invalid rates: ${invalid.map(([currency]) => currency).join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await setRates(rates);
+  if (result.status) {
+    console.log(result.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const normalized = await normalizePosts();
+  console.log(`Imported ${Object.keys(rates).length} rate(s) against ${BASE_CURRENCY}; normalized ${normalized} post(s).`);
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,18 @@
+// One-off migration: rewrites Post.basePrice as a double after the field changed from Int to Float,
+// so listings worth more than the 32-bit limit in the base currency can be stored.
+// Run once against each database after deploying the schema:
+//   npm run migrate:base-prices
+import prisma from "../lib/prisma.js";
+import { normalizePosts } from "../lib/currency.js";
+
+const run = async () => {
+  const updated = await normalizePosts();
+  console.log(`Recomputed the base price of ${updated} post(s).`);
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,51 @@
+// One-off migration: converts Post.latitude / Post.longitude from strings to numbers.
+// Run once against each database after deploying the Float schema:
+//   npm run migrate:coordinates
+// Posts whose coordinates cannot be parsed are left untouched and listed so they can be fixed by hand.
+import prisma from "../lib/prisma.js";
+
+const toDouble = (field) => ({
+  $convert: { input: { $trim: { input: `$${field}` } }, to: "double", onError: `$${field}`, onNull: `$${field}` },
+});
+
+const run = async () => {
+  const result = await prisma.$runCommandRaw({
+    update: "Post",
+    updates: [
+      {
+        q: { $or: [{ latitude: { $type: "string" } }, { longitude: { $type: "string" } }] },
+        u: [
+          {
+            $set: {
+              latitude: { $cond: [{ $eq: [{ $type: "$latitude" }, "string"] }, toDouble("latitude"), "$latitude"] },
+              longitude: { $cond: [{ $eq: [{ $type: "$longitude" }, "string"] }, toDouble("longitude"), "$longitude"] },
+            },
+          },
+        ],
+        multi: true,
+      },
+    ],
+  });
+
+  console.log(`Converted coordinates on ${result.nModified} post(s).`);
+
+  const leftovers = await prisma.post.findRaw({
+    filter: { $or: [{ latitude: { $type: "string" } }, { longitude: { $type: "string" } }] },
+    options: { projection: { _id: 1, title: 1, latitude: 1, longitude: 1 } },
+  });
+
+  if (leftovers.length > 0) {
+    console.log(`${leftovers.length} post(s) still have unparseable coordinates:`);
+    for (const post of leftovers) {
+      console.log(`  ${post._id.$oid} "${post.title}" (${post.latitude}, ${post.longitude})`);
+    }
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,40 @@
+// One-off migration: lowercases stored emails. Emails are lowercased on input since request validation
+// was added, so accounts registered with capitals before that could not be found by email any more.
+// Run once against each database:
+//   npm run migrate:emails
+// Accounts whose lowercased email already belongs to another account are listed and left as they are.
+import prisma from "../lib/prisma.js";
+
+const run = async () => {
+  const users = await prisma.user.findMany({ select: { id: true, email: true } });
+  const taken = new Set(users.map((user) => user.email));
+
+  let updated = 0;
+  const conflicts = [];
+  for (const user of users) {
+    const email = user.email.trim().toLowerCase();
+    if (email === user.email) continue;
+
+    if (taken.has(email)) {
+      conflicts.push(user);
+      continue;
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: { email } });
+    taken.add(email);
+    updated++;
+  }
+
+  console.log(`Lowercased the email of ${updated} user(s).`);
+  for (const user of conflicts) {
+    console.log(`Skipped ${user.id}: ${user.email} is already used by another account in lowercase.`);
+  }
+  if (conflicts.length > 0) process.exitCode = 1;
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,30 @@
+// One-off migration: replaces the User.isAdmin flag with User.role.
+// Run once against each database after deploying the role schema:
+//   npm run migrate:roles
+// Former admins become "admin", everyone else "user"; the old isAdmin field is removed.
+import prisma from "../lib/prisma.js";
+
+const run = async () => {
+  const result = await prisma.$runCommandRaw({
+    update: "User",
+    updates: [
+      {
+        q: { role: { $exists: false } },
+        u: [
+          { $set: { role: { $cond: [{ $eq: ["$isAdmin", true] }, "admin", "user"] } } },
+          { $unset: "isAdmin" },
+        ],
+        multi: true,
+      },
+    ],
+  });
+
+  console.log(`Assigned roles to ${result.nModified} user(s).`);
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
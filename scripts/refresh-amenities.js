@@ -0,0 +1,24 @@
+// Recomputes the nearest school/bus stop/restaurant/hospital distances of every post
+// from the amenities dataset (AMENITIES_FILE), e.g. after downloading a newer extract:
+//   AMENITIES_FILE=data/amenities.json npm run refresh:amenities
+// This also replaces the hand-typed distances of posts created before the dataset existed.
+import prisma from "../lib/prisma.js";
+import { refreshAmenities } from "../lib/amenities.js";
+
+const run = async () => {
+  const updated = await refreshAmenities();
+  if (updated === null) {
+    console.log("Nothing to do without an amenities dataset.");
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Recomputed amenity distances for ${updated} post(s).`);
+};
+
+run()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());